@@ -0,0 +1,93 @@
+// Benchmark the R-tree segment index (src/network/spatialIndex.js) against the linear scans
+// in src/network/search.js and check both return the same pipes.
+//
+// Usage:
+//   node scripts/bench-search.js [--queries <n>] [path/to/pipes.geojson]
+
+import { readFileSync } from "node:fs";
+import { performance } from "node:perf_hooks";
+import {
+  buildSegmentIndex,
+  createSewerNetwork,
+  findNearestObjectIdBySewerNameFromByObjectId,
+  findNearestPipeContact,
+  findNearestPipeObjectIdToPointWithinMeters
+} from "../src/network/index.js";
+
+const args = process.argv.slice(2);
+
+let queries = 500;
+const qIdx = args.indexOf("--queries");
+if (qIdx >= 0) {
+  queries = Number(args[qIdx + 1]);
+  args.splice(qIdx, 2);
+}
+
+const [file = "public/Sewerage_Network_Main_Pipelines.geojson"] = args;
+const network = createSewerNetwork(JSON.parse(readFileSync(file, "utf8")));
+const { geojson, byObjectId, bbox } = network;
+
+// Deterministic points over the network's bounding box (plus a margin), so runs are comparable
+let seed = 12345;
+const rand = () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+const padLat = (bbox.maxLat - bbox.minLat) * 0.05;
+const padLng = (bbox.maxLng - bbox.minLng) * 0.05;
+const points = Array.from({ length: queries }, () => ({
+  lat: bbox.minLat - padLat + rand() * (bbox.maxLat - bbox.minLat + 2 * padLat),
+  lng: bbox.minLng - padLng + rand() * (bbox.maxLng - bbox.minLng + 2 * padLng)
+}));
+const names = [...byObjectId.values()].map((ft) => ft.properties.SEWER_NAME).filter(Boolean);
+
+function time(label, fn) {
+  const t0 = performance.now();
+  const out = points.map((pt, i) => fn(pt, i));
+  const ms = performance.now() - t0;
+  return { label, ms, out };
+}
+
+const t0 = performance.now();
+const segmentIndex = buildSegmentIndex(geojson.features);
+console.log(
+  `${network.count} pipes, ${segmentIndex.segments.length} segments ` +
+    `(built in ${(performance.now() - t0).toFixed(1)} ms), ${queries} queries each`
+);
+
+const cases = [
+  {
+    name: "nearest pipe",
+    linear: (pt) => findNearestPipeContact(geojson, pt)?.feature,
+    indexed: (pt) => findNearestPipeContact(geojson, pt, segmentIndex)?.feature
+  },
+  {
+    name: "nearest within 20 m",
+    linear: (pt) => findNearestPipeObjectIdToPointWithinMeters(geojson, pt, null, 20)?.objectId ?? null,
+    indexed: (pt) => findNearestPipeObjectIdToPointWithinMeters(geojson, pt, null, 20, segmentIndex)?.objectId ?? null
+  },
+  {
+    name: "nearest by sewer name",
+    linear: (pt, i) =>
+      findNearestObjectIdBySewerNameFromByObjectId(byObjectId, pt, names[i % names.length], null, 8000)?.objectId ?? null,
+    indexed: (pt, i) =>
+      findNearestObjectIdBySewerNameFromByObjectId(byObjectId, pt, names[i % names.length], null, 8000, segmentIndex)
+        ?.objectId ?? null
+  }
+];
+
+const rows = {};
+for (const c of cases) {
+  const linear = time("linear", c.linear);
+  const indexed = time("indexed", c.indexed);
+  const mismatches = linear.out.filter((v, i) => v !== indexed.out[i]).length;
+
+  rows[c.name] = {
+    "linear ms": Number(linear.ms.toFixed(1)),
+    "indexed ms": Number(indexed.ms.toFixed(1)),
+    speedup: `${(linear.ms / Math.max(indexed.ms, 0.001)).toFixed(1)}×`,
+    mismatches
+  };
+}
+
+console.table(rows);
@@ -0,0 +1,98 @@
+// Trace a pipe downstream from the command line using the headless network module.
+//
+// Usage:
+//   node scripts/trace-pipe.js <OBJECTID> [path/to/pipes.geojson]
+//   node scripts/trace-pipe.js --near <lat>,<lng> [path/to/pipes.geojson]
+//
+// Add `--topology manhole` to link pipes by UNITID / UNITID2 instead of endpoint snapping, and
+// `--block <id>,<id>` to take pipes out of service for the trace. `--strategy <rule>` picks the
+// junction rule (see ROUTE_STRATEGIES); `--strategy all` compares every rule. `--debug` logs
+// each hop the tracer takes.
+
+import { readFileSync } from "node:fs";
+import { compareRoutes, createSewerNetwork, ROUTE_STRATEGIES, routeDistanceMeters } from "../src/network/index.js";
+
+const args = process.argv.slice(2);
+
+let topology = "snap";
+const topoIdx = args.indexOf("--topology");
+if (topoIdx >= 0) {
+  topology = args[topoIdx + 1];
+  args.splice(topoIdx, 2);
+}
+
+let outOfService = new Set();
+const blockIdx = args.indexOf("--block");
+if (blockIdx >= 0) {
+  outOfService = new Set(String(args[blockIdx + 1] || "").split(",").map(Number));
+  args.splice(blockIdx, 2);
+}
+
+const debugIdx = args.indexOf("--debug");
+const debug = debugIdx >= 0;
+if (debug) args.splice(debugIdx, 1);
+
+let strategy = "bearing";
+const strategyIdx = args.indexOf("--strategy");
+if (strategyIdx >= 0) {
+  strategy = args[strategyIdx + 1];
+  args.splice(strategyIdx, 2);
+}
+
+const nearIdx = args.indexOf("--near");
+
+let near = null;
+if (nearIdx >= 0) {
+  const [lat, lng] = String(args[nearIdx + 1] || "").split(",").map(Number);
+  near = { lat, lng };
+  args.splice(nearIdx, 2);
+}
+
+const [objectIdArg, file = "public/Sewerage_Network_Main_Pipelines.geojson"] = near ? [null, args[0]] : args;
+
+if (!near && !objectIdArg) {
+  console.error("Usage: node scripts/trace-pipe.js <OBJECTID> | --near <lat>,<lng> [geojson]");
+  process.exit(1);
+}
+
+const network = createSewerNetwork(JSON.parse(readFileSync(file, "utf8")), { topology });
+console.log(`Pipes: ${network.count} | Nodes: ${network.nodeCount} (${network.topology})`);
+
+let startId = Number(objectIdArg);
+let startPoint = null;
+
+if (near) {
+  const contact = network.nearestContact(near);
+  if (!contact) {
+    console.error("No pipes found");
+    process.exit(1);
+  }
+  startId = contact.objectId;
+  startPoint = contact.point;
+  console.log(`Nearest pipe: ${startId} (${contact.dist.toFixed(1)} m away)`);
+}
+
+if (!network.getPipe(startId)) {
+  console.error(`OBJECTID ${startId} not found`);
+  process.exit(1);
+}
+
+if (strategy === "all") {
+  const routes = Object.fromEntries(
+    ROUTE_STRATEGIES.map((s) => [s, network.planRoute(startId, startPoint, { outOfService, strategy: s, random: () => 0.5 })])
+  );
+  for (const r of compareRoutes(routes, ROUTE_STRATEGIES[0])) {
+    const leaves = r.divergesAt ? `leaves ${ROUTE_STRATEGIES[0]} after pipe ${r.divergesAt.objectId}` : `same as ${ROUTE_STRATEGIES[0]}`;
+    console.log(
+      `${r.strategy}: ${r.pipes} pipes, ${Math.round(r.lengthM)} m, ${(r.durationS / 60).toFixed(1)} min, ${r.end} | ${leaves}`
+    );
+  }
+  process.exit(0);
+}
+
+const route = network.planRoute(startId, startPoint, { outOfService, strategy, debug });
+console.log(`Downstream of ${startId}: [${network.downstreamOf(startId).join(", ")}]`);
+console.log(`Plan: ${route.coords.length} points, ${Math.round(routeDistanceMeters(route.coords))} m`);
+console.log(`Legs: ${route.legs.length} pipes, ${(route.durationS / 60).toFixed(1)} min at current pipe velocities`);
+if (route.reliefObjectIds.length > 0) console.log(`Re-routed via relief: [${route.reliefObjectIds.join(", ")}]`);
+if (route.end === "blocked") console.log(`Blocked: [${route.blockedObjectIds.join(", ")}] out of service`);
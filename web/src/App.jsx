@@ -1,8 +1,58 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
 
+import L from "leaflet";
 import "leaflet/dist/leaflet.css";
-import { MapContainer, TileLayer, GeoJSON, CircleMarker, Popup, Polyline, Tooltip, useMapEvents } from "react-leaflet";
+import { MapContainer, TileLayer, GeoJSON, CircleMarker, Marker, Popup, Polyline, Tooltip, useMapEvents } from "react-leaflet";
+
+import CleaningPanel from "./components/CleaningPanel.jsx";
+import ClockPanel from "./components/ClockPanel.jsx";
+import CsvJoinPanel from "./components/CsvJoinPanel.jsx";
+import DepthPanel from "./components/DepthPanel.jsx";
+import EnsemblePanel from "./components/EnsemblePanel.jsx";
+import FlowPanel from "./components/FlowPanel.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import OverflowPanel from "./components/OverflowPanel.jsx";
+import RouteComparePanel from "./components/RouteComparePanel.jsx";
+import RoughnessPanel from "./components/RoughnessPanel.jsx";
+import SedimentPanel from "./components/SedimentPanel.jsx";
+import UpstreamPanel from "./components/UpstreamPanel.jsx";
+import UtilisationTable from "./components/UtilisationTable.jsx";
+import ValidationPanel from "./components/ValidationPanel.jsx";
+import { downloadJson } from "./download.js";
+import { readPipeFile } from "./importers/index.js";
+import { LOAD_STAGES, loadNetworkInWorker } from "./networkClient.js";
+import {
+  catchmentGeoJson,
+  clockText,
+  compareRoutes,
+  createSewerNetwork,
+  DEFAULT_DEPTH_RATIO,
+  DEFAULT_DIURNAL_PATTERN,
+  diurnalMultiplier,
+  ENSEMBLE_DEFAULTS,
+  FLOW_DEFAULTS,
+  flattenFeatureCoords,
+  joinCsvByObjectId,
+  listAttributeNames,
+  metersBetween,
+  parseCsv,
+  pumpCycleState,
+  RELIEF_UNITTYPES,
+  ROUGHNESS_DEFAULTS,
+  ROUTE_STRATEGIES,
+  routeDistanceMeters,
+  SECONDS_PER_DAY,
+  SEDIMENT_DEFAULTS,
+  sedimentRiskPipes,
+  stationInflowLps,
+  toNum,
+  traceUpstream,
+  travelSpeedMps,
+  unmatchedMaterials,
+  UTILISATION_BANDS,
+  utilisationBand
+} from "./network/index.js";
 
 const users = ["Tom", "Steph", "Molly", "Delilah", "Luella"];
 
@@ -16,215 +66,159 @@ const OSRM_ROUTE_URL = "https://router.project-osrm.org/route/v1/driving";
 // Typical self-cleansing/flow velocities are often ~0.6–1.5 m/s; we use a mid value.
 const STREET_SPEED_MPS = 1.1;
 
-// Snap tolerance (metres) when determining pipe connectivity by endpoints
-const NODE_SNAP_TOL_M = 8;
-
-// Simulation safety clamps
-const PIPE_SPEED_MIN_MPS = 0.2;
-const PIPE_SPEED_MAX_MPS = 3.0;
-
-const R_MERC = 6378137;
-
-function clamp(n, a, b) {
-  return Math.max(a, Math.min(b, n));
-}
-
-function toNum(v) {
-  const n = typeof v === "number" ? v : parseFloat(v);
-  return Number.isFinite(n) ? n : null;
-}
-
-function normaliseSewerName(v) {
-  return String(v || "")
-    .toUpperCase()
-    .replace(/\s+/g, " ")
-    .replace(/[^\w\s]/g, "")
-    .trim();
-}
-
-function metersBetween(a, b) {
-  const lat1 = (a.lat * Math.PI) / 180;
-  const lat2 = (b.lat * Math.PI) / 180;
-  const dLat = lat2 - lat1;
-  const dLng = ((b.lng - a.lng) * Math.PI) / 180;
-  const x = dLng * Math.cos((lat1 + lat2) / 2);
-  const y = dLat;
-  const R = 6371000;
-  return Math.sqrt(x * x + y * y) * R;
-}
-
-function bearingDeg(a, b) {
-  const lat1 = (a.lat * Math.PI) / 180;
-  const lat2 = (b.lat * Math.PI) / 180;
-  const dLng = ((b.lng - a.lng) * Math.PI) / 180;
-
-  const y = Math.sin(dLng) * Math.cos(lat2);
-  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
-  const brng = (Math.atan2(y, x) * 180) / Math.PI;
-  return (brng + 360) % 360;
-}
-
-function angleDiffDeg(a, b) {
-  let d = Math.abs(a - b) % 360;
-  if (d > 180) d = 360 - d;
-  return d;
-}
-
-
-function routeDistanceMeters(route) {
-  if (!Array.isArray(route) || route.length < 2) return 0;
-  let d = 0;
-  for (let i = 1; i < route.length; i++) {
-    d += metersBetween(route[i - 1], route[i]);
+// Pipe networks bundled in /public: the raw export and two cleaned versions
+// (regenerate the cleaned files with `npm run clean-network -- --tolerance <m>`)
+const BUNDLED_DATASETS = [
+  {
+    id: "bundled",
+    label: "Raw",
+    name: "Sewerage_Network_Main_Pipelines",
+    url: "/Sewerage_Network_Main_Pipelines.geojson",
+    geojson: null
+  },
+  {
+    id: "bundled-cleaned-20m",
+    label: "Cleaned 20 m",
+    name: "Sewerage_Network_Main_Pipelines_cleaned_20m",
+    url: "/Sewerage_Network_Main_Pipelines_cleaned_20m.geojson",
+    geojson: null
+  },
+  {
+    id: "bundled-cleaned-40m",
+    label: "Cleaned 40 m",
+    name: "Sewerage_Network_Main_Pipelines_cleaned_40m",
+    url: "/Sewerage_Network_Main_Pipelines_cleaned_40m.geojson",
+    geojson: null
   }
-  return d;
+];
+
+// Used until another dataset is chosen or imported
+const DEFAULT_DATASET = BUNDLED_DATASETS[0];
+
+// Pipe colours when colouring by direction source (see network/direction.js)
+const DIR_SOURCE_COLOURS = {
+  DIR: "#00b7ff",
+  IL: "#ff00ff",
+  IL_reversed: "#ff8c00",
+  conflict: "#ff2020",
+  default: "#9a9a9a"
+};
+
+// Pipe colours by accumulated flow (L/s): the first band whose limit the flow is under
+const FLOW_COLOURS = [
+  { maxLps: 0.5, colour: "#c6dbef" },
+  { maxLps: 2, colour: "#6baed6" },
+  { maxLps: 5, colour: "#2171b5" },
+  { maxLps: 15, colour: "#08519c" },
+  { maxLps: Infinity, colour: "#08306b" }
+];
+const SURCHARGED_COLOUR = "#ff2020";
+
+// Pipe colours by utilisation band (see UTILISATION_BANDS)
+const UTILISATION_COLOURS = ["#3ddc84", "#ffe600", "#ff8c00", "#ff2020"];
+
+// Highlight for pipes below the self-cleansing velocity
+const SEDIMENT_COLOUR = "#8b4513";
+
+// Pipes and boundary of an upstream trace
+const UPSTREAM_COLOUR = "#00b7ff";
+
+// Junction rules (see ROUTE_STRATEGIES) as named in the UI, and their plans' colours
+const ROUTE_STRATEGY_LABELS = {
+  bearing: "Straightest way on",
+  lowestIL: "Lowest invert",
+  lookahead: "Look-ahead",
+  sameName: "Same sewer name"
+};
+const ROUTE_STRATEGY_COLOURS = {
+  bearing: "#ff00ff",
+  lowestIL: "#00c853",
+  lookahead: "#ff8c00",
+  sameName: "#2962ff"
+};
+
+// Pipes ensemble traces pass through (opacity by share) and where they end
+const ENSEMBLE_COLOUR = "#ff8c00";
+
+// Shared empty table, so rows derived from a stale or missing network keep their identity
+const NO_ROWS = [];
+
+// Overflow markers by the kind of pipe the flow spills into
+const OVERFLOW_COLOURS = {
+  "emergency relief": "#ff2020",
+  relief: "#ff8c00",
+  diversion: "#ffe600"
+};
+
+// Overflow log entries kept
+const OVERFLOW_LOG_MAX = 500;
+
+function flowColour(lps) {
+  return FLOW_COLOURS.find((b) => lps < b.maxLps).colour;
 }
 
-function projectToXYMeters(origin, p) {
-  const lat0 = (origin.lat * Math.PI) / 180;
-  const dLat = ((p.lat - origin.lat) * Math.PI) / 180;
-  const dLng = ((p.lng - origin.lng) * Math.PI) / 180;
-  const R = 6371000;
-  return {
-    x: dLng * Math.cos(lat0) * R,
-    y: dLat * R
-  };
+// Flows follow the diurnal pattern in steps of this many simulated seconds, so the network
+// is re-solved (and restyled) every few real seconds rather than every animation tick
+const DIURNAL_STEP_SEC = 600;
+
+// Pump station symbols by wet well phase (see pumpCycleState)
+const PUMP_ICONS = Object.fromEntries(
+  ["filling", "pumping", "continuous"].map((phase) => [
+    phase,
+    L.divIcon({ className: `pumpIcon pump-${phase}`, html: "P", iconSize: [18, 18] })
+  ])
+);
+
+function durationText(sec) {
+  if (!Number.isFinite(sec)) return "—";
+  const m = Math.floor(sec / 60);
+  const s = Math.floor(sec % 60);
+  return m >= 60 ? `${Math.floor(m / 60)} h ${m % 60} min` : `${m}:${String(s).padStart(2, "0")}`;
 }
 
-function unprojectFromXYMeters(origin, xy) {
-  const lat0 = (origin.lat * Math.PI) / 180;
-  const R = 6371000;
-  const dLat = xy.y / R;
-  const dLng = xy.x / (Math.cos(lat0) * R);
-  return {
-    lat: origin.lat + (dLat * 180) / Math.PI,
-    lng: origin.lng + (dLng * 180) / Math.PI
-  };
+function secondsOfDayNow() {
+  const d = new Date();
+  return d.getHours() * 3600 + d.getMinutes() * 60 + d.getSeconds();
 }
 
-function closestPointOnSegment(a, b, p) {
-  // Work in a local metres-space around a (good for short segments)
-  const origin = a;
-  const A = projectToXYMeters(origin, a);
-  const B = projectToXYMeters(origin, b);
-  const P = projectToXYMeters(origin, p);
-
-  const ABx = B.x - A.x;
-  const ABy = B.y - A.y;
-
-  const APx = P.x - A.x;
-  const APy = P.y - A.y;
-
-  const ab2 = ABx * ABx + ABy * ABy;
-  const t = ab2 > 0 ? clamp((APx * ABx + APy * ABy) / ab2, 0, 1) : 0;
-
-  const Q = { x: A.x + ABx * t, y: A.y + ABy * t };
-  const qLL = unprojectFromXYMeters(origin, Q);
-
-  const dx = P.x - Q.x;
-  const dy = P.y - Q.y;
-  const dist = Math.sqrt(dx * dx + dy * dy);
-
-  return { point: qLL, dist, t };
+// Mode a traveller takes at the end of its pipe plan
+function endModeOf(pt) {
+  return pt.pipeRoute?.end === "blocked" ? "blocked" : "arrived";
 }
 
-function gridKey(pt, cellMeters) {
-  const mPerDegLat = 111320;
-  const mPerDegLng = 111320 * Math.cos((pt.lat * Math.PI) / 180);
-  const x = Math.round((pt.lng * mPerDegLng) / cellMeters);
-  const y = Math.round((pt.lat * mPerDegLat) / cellMeters);
-  return `${x},${y}`;
-}
-
-function flattenFeatureCoords(ft) {
-  const g = ft && ft.geometry;
-  if (!g) return [];
-
-  const toLL = (c) => ({ lat: c[1], lng: c[0] });
-
-  if (g.type === "LineString") {
-    return Array.isArray(g.coordinates) ? g.coordinates.map(toLL) : [];
-  }
-
-  if (g.type === "MultiLineString") {
-    const parts = Array.isArray(g.coordinates) ? g.coordinates : [];
-    const out = [];
-    for (const part of parts) {
-      if (!Array.isArray(part) || part.length < 2) continue;
-      for (let i = 0; i < part.length; i++) {
-        const ll = toLL(part[i]);
-        const last = out[out.length - 1];
-        if (last && metersBetween(last, ll) < 0.01) continue;
-        out.push(ll);
-      }
-    }
-    return out;
+// Gravity pipes with a utilisation, for the constrained-pipes table
+function utilisationRowsOf(byObjectId) {
+  const rows = [];
+  for (const [objectId, ft] of byObjectId.entries()) {
+    const p = ft.properties;
+    if (typeof p._utilisation !== "number") continue;
+    rows.push({
+      objectId,
+      name: p.SEWER_NAME ?? "",
+      qFullLps: p._q_full_lps,
+      loadLps: p._flow_lps,
+      utilisation: p._utilisation,
+      vMps: p._v_mps
+    });
   }
-
-  return [];
+  return rows;
 }
 
-
-function parseDirFromProps(props) {
-  const raw =
-    props?.DIR ??
-    props?.Dir ??
-    props?.dir ??
-    props?.DIRECTION ??
-    props?.Direction ??
-    props?.direction ??
-    null;
-
-  if (raw === null || raw === undefined) return null;
-
-  const v = String(raw).trim().toLowerCase();
-
-  if (v === "u_to_d" || v === "u-to-d" || v === "u to d" || v === "u2d" || v === "uto_d") return "u_to_d";
-  if (v === "d_to_u" || v === "d-to-u" || v === "d to u" || v === "d2u" || v === "dto_u") return "d_to_u";
-
-  return null;
-}
-
-
-
-function findNearestPipeContact(geojson, start) {
-  const features = Array.isArray(geojson?.features) ? geojson.features : [];
-  let best = null;
-
-  for (const ft of features) {
-    const g = ft?.geometry;
-    if (!g) continue;
-
-    const considerLineString = (coords, linePartIndex) => {
-      for (let i = 0; i < coords.length - 1; i++) {
-        const a = { lng: coords[i][0], lat: coords[i][1] };
-        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
-        const res = closestPointOnSegment(a, b, start);
-        if (!best || res.dist < best.dist) {
-          best = {
-            dist: res.dist,
-            point: res.point,
-            feature: ft,
-            partIndex: linePartIndex,
-            segIndex: i,
-            segA: a,
-            segB: b
-          };
-        }
-      }
-    };
-
-    if (g.type === "LineString") {
-      considerLineString(g.coordinates || [], 0);
-    } else if (g.type === "MultiLineString") {
-      const lines = g.coordinates || [];
-      for (let li = 0; li < lines.length; li++) {
-        considerLineString(lines[li] || [], li);
-      }
-    }
+// Moves a traveller on from point `idx` of leg `legIdx` (see planPipeRoute), across any
+// junctions it has reached, to the next leg with somewhere to go. A leg ending at a pump
+// stop holds it for waitAt(stop) seconds. Returns { leg, idx, waitingAt, waitS }, with
+// leg null past the last leg.
+function advanceOnLegs(legs, legIdx, idx, pumpStops, waitAt) {
+  let leg = legIdx;
+  let i = idx;
+  while (leg < legs.length && i >= legs[leg].coords.length) {
+    const stop = pumpStops.find((st) => st.leg === leg);
+    const waitS = stop ? waitAt(stop) : 0;
+    if (waitS > 0) return { leg, idx: i, waitingAt: stop.stationId, waitS };
+    leg += 1;
+    i = 1;
   }
-
-  return best;
+  return { leg: leg < legs.length ? leg : null, idx: i, waitingAt: null, waitS: 0 };
 }
 
 async function fetchOsrmRoute(start, end) {
@@ -244,511 +238,6 @@ async function fetchOsrmRoute(start, end) {
   return coords.map((c) => ({ lng: c[0], lat: c[1] }));
 }
 
-function mercatorMetersFromLngLat(lng, lat) {
-  const x = (R_MERC * lng * Math.PI) / 180;
-  const latClamped = clamp(lat, -85.05112878, 85.05112878);
-  const y = R_MERC * Math.log(Math.tan(Math.PI / 4 + (latClamped * Math.PI) / 360));
-  return { x, y };
-}
-
-function nodeKeyFromLngLat(lng, lat, tolM) {
-  const m = mercatorMetersFromLngLat(lng, lat);
-  const kx = Math.round(m.x / tolM);
-  const ky = Math.round(m.y / tolM);
-  return `${kx}_${ky}`;
-}
-
-function manningNFromMaterial(materialRaw) {
-  const m = String(materialRaw || "").toUpperCase();
-
-  if (m.includes("PVC") || m.includes("UPVC") || m.includes("HDPE") || m.includes("ABS")) return 0.009;
-  if (m.includes("VC") || m.includes("VIT") || m.includes("CLAY")) return 0.011;
-  if (m.includes("CON") || m.includes("RC") || m.includes("CONC")) return 0.013;
-  if (m.includes("CI") || m.includes("DICL") || m.includes("IRON")) return 0.012;
-  if (m.includes("GRP")) return 0.01;
-  if (m.includes("BRICK") || m.includes("BWK") || m.includes("BLK")) return 0.015;
-
-  return 0.013;
-}
-
-function dbgName(p) {
-  const v = p?.SEWER_NAME ?? p?.SEWERNAME ?? "";
-  return String(v).trim();
-}
-
-function computeHalfFullVelocityMps(props) {
-  const n = manningNFromMaterial(props?.MATERIAL);
-
-  const grade = toNum(props?.GRADE);
-  const upIL = toNum(props?.UPSTREAM_IL);
-  const downIL = toNum(props?.DOWNSTREAM_IL);
-  const len = toNum(props?.PIPE_LENGTH);
-
-  let S = null;
-  if (grade !== null) {
-    S = Math.abs(grade);
-  } else if (upIL !== null && downIL !== null && len !== null && len > 0) {
-    S = Math.abs((upIL - downIL) / len);
-  }
-
-  if (S === null || !Number.isFinite(S) || S <= 0) {
-    return { n, S: S || 0, v: 0 };
-  }
-
-  const wMm = toNum(props?.PIPE_WIDTH);
-  const hMm = toNum(props?.PIPE_HEIGHT);
-
-  // Treat height==0 or missing as circular diameter=width
-  const isCircular = wMm !== null && (hMm === null || hMm === 0);
-
-  let R = null;
-
-  if (isCircular) {
-    const D = (wMm || 0) / 1000;
-    if (D > 0) {
-      // For a circular pipe: hydraulic radius R = D/4 for both full and exactly half-full
-      R = D / 4;
-    }
-  } else {
-    const w = (wMm || 0) / 1000;
-    const h = (hMm || 0) / 1000;
-    if (w > 0 && h > 0) {
-      const A = w * h;
-      const P = 2 * (w + h);
-      R = P > 0 ? A / P : null;
-    }
-  }
-
-  if (R === null || !Number.isFinite(R) || R <= 0) {
-    return { n, S, v: 0 };
-  }
-
-  const v = (1 / n) * Math.pow(R, 2 / 3) * Math.sqrt(S);
-  return { n, S, v: Number.isFinite(v) ? v : 0 };
-}
-
-function chooseNextPipeLowestDownIL(nextIds, byObjectId, currentProps) {
-  if (!Array.isArray(nextIds) || nextIds.length === 0) return null;
-
-  const currentName = normaliseSewerName(currentProps?.SEWER_NAME || currentProps?.SEWERNAME);
-
-  // Prefer candidates with the same sewer/main name (helps across pump stations)
-  let candidateIds = nextIds;
-  if (currentName) {
-    const sameName = nextIds.filter((id) => {
-      const ft = byObjectId.get(id);
-      const p = ft?.properties || {};
-      const nm = normaliseSewerName(p.SEWER_NAME || p.SEWERNAME);
-	  return nm && nm === currentName;
-
-    });
-    if (sameName.length > 0) candidateIds = sameName;
-  }
-
-  // 1) Prefer lowest downstream IL if available
-  let bestId = null;
-  let bestDown = Infinity;
-
-  for (const id of candidateIds) {
-    const ft = byObjectId.get(id);
-    const p = ft?.properties || {};
-    const d = toNum(p.DOWNSTREAM_IL);
-
-    if (d !== null && d < bestDown) {
-      bestDown = d;
-      bestId = id;
-    }
-  }
-
-  if (bestId !== null) return bestId;
-
-  // 2) If no ILs, prefer segment candidate if present and in list
-  const segCand = currentProps?._segment_candidate_objectid;
-  if (segCand && candidateIds.includes(segCand)) return segCand;
-
-  // 3) Otherwise, prefer longest pipe length
-  let bestLenId = null;
-  let bestLen = -Infinity;
-
-  for (const id of candidateIds) {
-    const ft = byObjectId.get(id);
-    const p = ft?.properties || {};
-    const len = toNum(p.PIPE_LENGTH);
-
-    if (len !== null && len > bestLen) {
-      bestLen = len;
-      bestLenId = id;
-    }
-  }
-
-  if (bestLenId !== null) return bestLenId;
-
-  return candidateIds[0] ?? null;
-}
-
-
-function chooseNextPipeWithLookahead(candidateIds, byObjectId, currProps, currId, prevId, visited) {
-  const ids0 = Array.isArray(candidateIds) ? candidateIds : [];
-  if (ids0.length === 0) return null;
-
-  // Prefer not to bounce straight back to the immediately-previous pipe
-  const idsNoPrev = ids0.filter((id) => id !== prevId);
-
-  // Prefer unvisited candidates if any exist (but don't hard-fail if all are visited)
-  const idsBase = idsNoPrev.length > 0 ? idsNoPrev : ids0;
-  const idsUnvisited = idsBase.filter((id) => !visited.has(id));
-  const ids = idsUnvisited.length > 0 ? idsUnvisited : idsBase;
-
-  if (ids.length === 1) return ids[0];
-
-
-  return chooseBestByLookahead(ids, byObjectId, currProps, currId, prevId, visited);
-}
-
-function chooseBestByLookahead(ids, byObjectId, currProps, currId, prevId, visited) {
-  if (ids.length === 1) return ids[0];
-
-  let bestId = null;
-  let bestScore = Infinity;
-
-  for (const id of ids) {
-    const score = lookaheadScore(id, byObjectId, currProps, currId, prevId, visited, 10);
-    if (score < bestScore) {
-      bestScore = score;
-      bestId = id;
-    }
-  }
-
-  // Fallback if something weird happens
-  if (bestId === null) bestId = chooseNextPipeLowestDownIL(ids, byObjectId, currProps);
-  return bestId;
-}
-
-// Lower score is better
-function lookaheadScore(startId, byObjectId, currProps, currId, prevId, visited, depth) {
-  let total = 0;
-
-  let hops = 0;
-  let id = startId;
-  let prev = currId;
-
-  // Local cycle detection independent of global visited
-  const local = new Set([currId, prevId]);
-
-  let lastDown = toNum(currProps?.DOWNSTREAM_IL);
-
-  while (id != null && hops < depth) {
-    if (visited.has(id)) {
-      total += 50; // avoid re-entering already-traced path
-      break;
-    }
-    if (local.has(id)) {
-      total += 200; // local cycle
-      break;
-    }
-    local.add(id);
-
-    const ft = byObjectId.get(id);
-    if (!ft) {
-      total += 100;
-      break;
-    }
-
-    const p = ft.properties || {};
-    const d = toNum(p.DOWNSTREAM_IL);
-
-    // We do NOT enforce "downhill" here because pump stations can legitimately go uphill.
-    // Only apply a tiny preference for pipes that have IL data (more deterministic).
-    if (d === null) total += 2;
-
-    lastDown = d !== null ? d : lastDown;
-
-    const nextIds = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
-    const stepIds = nextIds.filter((x) => x !== prev);
-    const stepId = stepIds.length > 0 ? chooseNextPipeLowestDownIL(stepIds, byObjectId, p) : null;
-
-    prev = id;
-    id = stepId;
-    hops += 1;
-  }
-
-  // Prefer paths that can continue (avoid dead-ends)
-  total += (depth - hops) * 20;
-
-  return total;
-}
-
-function findNearestObjectIdBySewerNameFromByObjectId(byObjectId, pointLL, sewerNameRaw, excludeIds, maxMeters) {
-  const target = String(sewerNameRaw || "").trim();
-  if (!target) return null;
-
-  let bestId = null;
-  let bestDist = Infinity;
-
-  for (const [id, ft] of byObjectId.entries()) {
-    if (excludeIds && excludeIds.has(id)) continue;
-
-    const p = ft?.properties || {};
-    const nm = String(p.SEWER_NAME || p.SEWERNAME || "").trim();
-    if (!nm || nm !== target) continue;
-
-    const coords = flattenFeatureCoords(ft);
-    if (!coords || coords.length < 2) continue;
-
-    // distance to polyline (segment-by-segment)
-    for (let i = 0; i < coords.length - 1; i++) {
-      const a = coords[i];
-      const b = coords[i + 1];
-      const res = closestPointOnSegment(a, b, pointLL);
-      if (res.dist < bestDist) {
-        bestDist = res.dist;
-        bestId = id;
-      }
-    }
-  }
-
-  if (bestId !== null && bestDist <= maxMeters) return { objectId: bestId, dist: bestDist };
-  return null;
-}
-
-
-function orderedCoordsForPipe(ft) {
-  const p = ft?.properties || {};
-  const dir = String(p._dir || "u_to_d");
-  const coords = flattenFeatureCoords(ft);
-  return dir === "d_to_u" ? coords.slice().reverse() : coords;
-}
-
-function chooseNextPipeByBearing(nextIds, byObjectId, currOrderedCoords, prevId, visited) {
-  const ids0 = Array.isArray(nextIds) ? nextIds : [];
-  const ids1 = ids0.filter((id) => id !== prevId && !visited.has(id));
-  const ids = ids1.length > 0 ? ids1 : ids0.filter((id) => id !== prevId);
-
-  if (ids.length === 0) return null;
-  if (ids.length === 1) return ids[0];
-
-  if (!currOrderedCoords || currOrderedCoords.length < 2) {
-    return ids.slice().sort((a, b) => a - b)[0] ?? null;
-  }
-
-  const n = currOrderedCoords.length;
-  const a = currOrderedCoords[Math.max(0, n - 2)];
-  const b = currOrderedCoords[n - 1];
-  const currBrng = bearingDeg(a, b);
-
-  let bestId = null;
-  let bestDelta = Infinity;
-
-  for (const id of ids) {
-    const ft = byObjectId.get(id);
-    if (!ft) continue;
-    const ord = orderedCoordsForPipe(ft);
-    if (ord.length < 2) continue;
-
-    const candBrng = bearingDeg(ord[0], ord[1]);
-    const delta = angleDiffDeg(currBrng, candBrng);
-    if (delta < bestDelta) {
-      bestDelta = delta;
-      bestId = id;
-    }
-  }
-
-  return bestId !== null ? bestId : (ids.slice().sort((a, b) => a - b)[0] ?? null);
-}
-
-function buildPipePlanFromObjectId(startObjectId, startPoint, byObjectId, maxHops = 2000) {
-  // DIR-first traversal:
-  // - Each pipe has an explicit DIR (u_to_d / d_to_u). We treat this as authoritative.
-  // - Connectivity is: current pipe FLOW-END node -> next pipe FLOW-START node.
-  // - `_nextObjectIds` is built from endpoint snapping + flow-start matching (plus a small fallback).
-  const plan = [];
-  const visited = new Set();
-  const visitedCells = new Set();
-
-  let currentId = startObjectId;
-  let prevId = null;
-  let first = true;
-
-  while (currentId !== null && currentId !== undefined && !visited.has(currentId) && visited.size < maxHops) {
-    const ft = byObjectId.get(currentId);
-    if (!ft) break;
-
-    visited.add(currentId);
-
-    const ord = orderedCoordsForPipe(ft);
-    if (ord.length < 2) break;
-
-    if (first && startPoint) {
-      plan.push({ lng: startPoint.lng, lat: startPoint.lat });
-
-      let nearestIdx = 0;
-      let bestDist = Infinity;
-      for (let i = 0; i < ord.length; i++) {
-        const d = metersBetween(startPoint, ord[i]);
-        if (d < bestDist) {
-          bestDist = d;
-          nearestIdx = i;
-        }
-      }
-
-      for (let i = nearestIdx; i < ord.length; i++) {
-        const k = gridKey(ord[i], 5);
-        if (visitedCells.has(k)) continue;
-        visitedCells.add(k);
-        plan.push(ord[i]);
-      }
-
-      first = false;
-    } else {
-      const last = plan[plan.length - 1];
-      for (let i = 0; i < ord.length; i++) {
-        const pt = ord[i];
-        if (last && metersBetween(last, pt) < 0.2) continue;
-        const k = gridKey(pt, 5);
-        if (visitedCells.has(k)) continue;
-        visitedCells.add(k);
-        plan.push(pt);
-      }
-    }
-
-    const p = ft.properties || {};
-    const nextIds = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
-    const nextId = chooseNextPipeByBearing(nextIds, byObjectId, ord, prevId, visited);
-
-    if (visited.size < 120) {
-      console.log(
-        "[PIPEHOP] " +
-          currentId +
-          " -> " +
-          nextId +
-          ' | name="' +
-          dbgName(p) +
-          '" | candidates=[' +
-          nextIds.join(", ") +
-          "]"
-      );
-    }
-
-    prevId = currentId;
-    currentId = nextId;
-  }
-
-  return plan;
-}
-
-
-function findNearestNodeKeyWithinMeters(nodeIndex, fromKey, maxMeters) {
-  const from = nodeIndex.get(fromKey);
-  if (!from) return null;
-
-  const fromLL = { lat: from.lat, lng: from.lng };
-
-  let bestKey = null;
-  let bestDist = Infinity;
-
-  for (const [key, node] of nodeIndex.entries()) {
-    if (key === fromKey) continue;
-    if (!node || typeof node.lat !== "number" || typeof node.lng !== "number") continue;
-
-    // Only consider nodes that have at least one outgoing pipe
-    if (!Array.isArray(node.outObjectIds) || node.outObjectIds.length === 0) continue;
-
-    const d = metersBetween(fromLL, { lat: node.lat, lng: node.lng });
-    if (d <= maxMeters && d < bestDist) {
-      bestDist = d;
-      bestKey = key;
-    }
-  }
-
-  return bestKey;
-}
-
-function findNearestPipeObjectIdToPointWithinMeters(geojson, pointLL, excludeObjectId, maxMeters) {
-  const features = Array.isArray(geojson?.features) ? geojson.features : [];
-
-  let bestObjectId = null;
-  let bestDist = Infinity;
-
-  for (const ft of features) {
-    const props = ft?.properties || {};
-    const oid = toNum(props.OBJECTID);
-
-    if (oid === null) continue;
-    if (excludeObjectId !== null && oid === excludeObjectId) continue;
-
-    const g = ft?.geometry;
-    if (!g) continue;
-
-    const considerLineString = (coords) => {
-      for (let i = 0; i < coords.length - 1; i++) {
-        const a = { lng: coords[i][0], lat: coords[i][1] };
-        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
-        const res = closestPointOnSegment(a, b, pointLL);
-        if (res.dist < bestDist) {
-          bestDist = res.dist;
-          bestObjectId = oid;
-        }
-      }
-    };
-
-    if (g.type === "LineString") {
-      considerLineString(g.coordinates || []);
-    } else if (g.type === "MultiLineString") {
-      const lines = g.coordinates || [];
-      for (const line of lines) considerLineString(line || []);
-    }
-  }
-
-  if (bestObjectId !== null && bestDist <= maxMeters) return { objectId: bestObjectId, dist: bestDist };
-  return null;
-}
-
-function findNearestPipeObjectIdBySewerNameWithinMeters(geojson, pointLL, sewerNameRaw, excludeObjectId, maxMeters) {
-  const targetName = normaliseSewerName(sewerNameRaw);
-  if (!targetName) return null;
-
-  const features = Array.isArray(geojson?.features) ? geojson.features : [];
-
-  let bestObjectId = null;
-  let bestDist = Infinity;
-
-  for (const ft of features) {
-    const props = ft?.properties || {};
-    const nm = normaliseSewerName(props.SEWER_NAME || props.SEWERNAME);
-    if (!nm || nm !== targetName) continue;
-
-    const oid = toNum(props.OBJECTID);
-    if (oid === null) continue;
-    if (excludeObjectId !== null && oid === excludeObjectId) continue;
-
-    const g = ft?.geometry;
-    if (!g) continue;
-
-    const considerLineString = (coords) => {
-      for (let i = 0; i < coords.length - 1; i++) {
-        const a = { lng: coords[i][0], lat: coords[i][1] };
-        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
-        const res = closestPointOnSegment(a, b, pointLL);
-        if (res.dist < bestDist) {
-          bestDist = res.dist;
-          bestObjectId = oid;
-        }
-      }
-    };
-
-    if (g.type === "LineString") {
-      considerLineString(g.coordinates || []);
-    } else if (g.type === "MultiLineString") {
-      const lines = g.coordinates || [];
-      for (const line of lines) considerLineString(line || []);
-    }
-  }
-
-  if (bestObjectId !== null && bestDist <= maxMeters) return { objectId: bestObjectId, dist: bestDist };
-  return null;
-}
-
-
 export default function App() {
   const [flushes, setFlushes] = useState(0);
 
@@ -761,8 +250,124 @@ export default function App() {
     bbox: null,
     count: 0,
     nodeCount: 0,
-    byObjectId: null
+    byObjectId: null,
+    network: null,
+    topologyReport: null,
+    validation: null
+  });
+
+  const [selectedIssue, setSelectedIssue] = useState(null);
+
+  // Flow depth for velocities: { depthRatio, perPipe: { [OBJECTID]: ratio }, fromFlow }
+  const [depthSettings, setDepthSettings] = useState({ depthRatio: DEFAULT_DEPTH_RATIO, perPipe: {}, fromFlow: false });
+
+  // Flow loading (see FLOW_DEFAULTS); flowVersion counts re-accumulations so pipes restyle
+  const [flowLoading, setFlowLoading] = useState(() => {
+    const { source, pePerSubarea, defaultPe, lpsPerMetre } = FLOW_DEFAULTS;
+    return { source, pePerSubarea, defaultPe, lpsPerMetre };
   });
+  const [flowVersion, setFlowVersion] = useState(0);
+
+  // Inflow (L/s) of each pump station, read off the network after each flow change and kept
+  // with the network it came from
+  const [pumpInflowState, setPumpInflowState] = useState(null);
+  const pumpInflows = pumpInflowState?.network === pipeData.network ? pumpInflowState.inflows : null;
+
+  // Constrained-pipes table rows, read off the network each time depths are re-applied
+  // (after every flow change) and kept with the network they came from
+  const [utilisationState, setUtilisationState] = useState(null);
+  const utilisationRows = utilisationState?.network === pipeData.network ? utilisationState.rows : NO_ROWS;
+
+  // Manning's n per material and ageing (see ROUGHNESS_DEFAULTS)
+  const [roughness, setRoughness] = useState(ROUGHNESS_DEFAULTS);
+
+  // Self-cleansing analysis (see SEDIMENT_DEFAULTS); depthVersion counts depth re-applies,
+  // after which pipe velocities have changed
+  const [sedimentSettings, setSedimentSettings] = useState(SEDIMENT_DEFAULTS);
+  const [showSediment, setShowSediment] = useState(false);
+  const [depthVersion, setDepthVersion] = useState(0);
+  const [sedimentState, setSedimentState] = useState(null);
+  const sedimentRows = sedimentState?.network === pipeData.network ? sedimentState.rows : NO_ROWS;
+
+  // Simulation clock: seconds after midnight, advanced by the animation tick at clockRate
+  // simulated seconds per real second. The diurnal pattern scales base flow through the day.
+  const [simClock, setSimClock] = useState(secondsOfDayNow);
+  const [clockRate, setClockRate] = useState(60);
+  const simClockRef = useRef(simClock);
+  simClockRef.current = simClock;
+  const [diurnalPattern, setDiurnalPattern] = useState(DEFAULT_DIURNAL_PATTERN);
+
+  // Overflow events (see setFlowLoads): those spilling now, and a log of each spill as it
+  // starts. The ref remembers which pipes were spilling, per network.
+  const [overflows, setOverflows] = useState([]);
+  const [overflowLog, setOverflowLog] = useState([]);
+  const spillingRef = useRef({ network: null, ids: new Set() });
+  const diurnalStep = Math.floor(simClock / DIURNAL_STEP_SEC);
+  // While the clock runs, velocities come from the time-scaled flow so the time of day matters
+  const clockRunning = clockRate > 0;
+  const velocitiesFromFlow = depthSettings.fromFlow || clockRunning;
+  const flowMultiplier = useMemo(
+    () => diurnalMultiplier(diurnalPattern, diurnalStep * DIURNAL_STEP_SEC),
+    [diurnalPattern, diurnalStep]
+  );
+
+  // What clicking a pipe does besides opening its popup: null, "outage", "upstream",
+  // "compare" or "ensemble" (see their panels)
+  const [pipeClickMode, setPipeClickMode] = useState(null);
+
+  // What-if outages: in "outage" click mode, clicking a pipe takes it out of service (or
+  // back in). The ref lets route planning scheduled from the animation timer see the latest set.
+  const [outOfService, setOutOfService] = useState(() => new Set());
+  const outOfServiceRef = useRef(outOfService);
+  outOfServiceRef.current = outOfService;
+
+  // Upstream trace: in "upstream" click mode, clicking a pipe traces what drains to it. The
+  // trace is kept with the network it was made on and dropped when that changes.
+  const [upstreamState, setUpstreamState] = useState(null);
+  const upstreamTrace = upstreamState?.network === pipeData.network ? upstreamState.trace : null;
+  const upstreamIds = useMemo(() => new Set(upstreamTrace?.objectIds || []), [upstreamTrace]);
+
+  // Junction rule travellers follow (ref for planning from the animation timer), and in
+  // "compare" click mode the plans of every rule from the clicked point, kept like the trace
+  const [routeStrategy, setRouteStrategy] = useState("bearing");
+  const routeStrategyRef = useRef(routeStrategy);
+  routeStrategyRef.current = routeStrategy;
+  const [compareState, setCompareState] = useState(null);
+  const compareRoutesByStrategy = compareState?.network === pipeData.network ? compareState.routes : null;
+  // Ensemble traces (see ENSEMBLE_DEFAULTS): run from a clicked pipe in "ensemble" click
+  // mode or from a traveller's contact point, and kept like the trace
+  const [ensembleSettings, setEnsembleSettings] = useState(ENSEMBLE_DEFAULTS);
+  const [ensembleState, setEnsembleState] = useState(null);
+  const ensemble = ensembleState?.network === pipeData.network ? ensembleState.result : null;
+  const ensembleLines = useMemo(() => {
+    if (!ensemble || !pipeData.byObjectId) return [];
+    return [...ensemble.pipeShares.entries()].map(([id, share]) => ({
+      id,
+      share,
+      positions: flattenFeatureCoords(pipeData.byObjectId.get(id)).map((c) => [c.lat, c.lng])
+    }));
+  }, [ensemble, pipeData.byObjectId]);
+
+  const compareRows = useMemo(
+    () => (compareRoutesByStrategy ? compareRoutes(compareRoutesByStrategy, routeStrategy) : []),
+    [compareRoutesByStrategy, routeStrategy]
+  );
+
+  // "snap" joins pipes by endpoint proximity, "manhole" by UNITID / UNITID2
+  const [topologyMode, setTopologyMode] = useState("snap");
+  const [showTopologyIssues, setShowTopologyIssues] = useState(false);
+
+  // "plain" | "dirSource" | "flow" | "utilisation"
+  const [pipeColourBy, setPipeColourBy] = useState("plain");
+
+  // Active pipe dataset: { id, name, url, geojson } where geojson is set for imported files
+  const [dataset, setDataset] = useState(DEFAULT_DATASET);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [pendingJoin, setPendingJoin] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  // Current stage of the network worker (see networkClient.js), null when idle
+  const [loadStage, setLoadStage] = useState(null);
 
   // Device start location (from browser geolocation)
   const [deviceLoc, setDeviceLoc] = useState({
@@ -776,184 +381,64 @@ export default function App() {
   const [speed10x, setSpeed10x] = useState(false);
 
   // People points
-  // mode: "street" | "pipe" | "arrived" | "error"
+  // mode: "street" | "pipe" | "arrived" | "blocked" | "error"
   const [points, setPoints] = useState([]);
 
   // Keep map instance so we can recenter once geolocation arrives
   const mapRef = useRef(null);
 
-  // 1) Load pipes GeoJSON from /public + compute velocities + direction + connectivity
+  // 1) Load pipes GeoJSON + compute velocities + direction + connectivity in a worker
   useEffect(() => {
     let cancelled = false;
 
     async function load() {
       try {
-        const res = await fetch("/Sewerage_Network_Main_Pipelines.geojson");
-        if (!res.ok) throw new Error(`GeoJSON fetch failed: ${res.status}`);
-        const gj = await res.json();
-
-        const features = Array.isArray(gj.features) ? gj.features : [];
-
-        let minLat = Infinity;
-        let minLng = Infinity;
-        let maxLat = -Infinity;
-        let maxLng = -Infinity;
-
-        function scanCoords(coords) {
-          // coords = [lng, lat]
-          const lng = coords?.[0];
-          const lat = coords?.[1];
-          if (typeof lat !== "number" || typeof lng !== "number") return;
-          if (lat < minLat) minLat = lat;
-          if (lat > maxLat) maxLat = lat;
-          if (lng < minLng) minLng = lng;
-          if (lng > maxLng) maxLng = lng;
-        }
-
-        const nodeIndex = new Map();
-        const byObjectId = new Map();
-
-        function ensureNode(key, lng, lat) {
-          if (!nodeIndex.has(key)) {
-            nodeIndex.set(key, { key, lng, lat, inObjectIds: [], outObjectIds: [] });
-          }
-          return nodeIndex.get(key);
-        }
-
-        // Pass 1: compute bbox + per-pipe velocity + DIR + endpoint node keys (DIR-first)
-        for (const ft of features) {
-          const g = ft?.geometry;
-          if (!g) continue;
-
-          if (g.type === "LineString") {
-            for (const c of g.coordinates) scanCoords(c);
-          } else if (g.type === "MultiLineString") {
-            for (const line of g.coordinates) {
-              for (const c of line) scanCoords(c);
-            }
-          }
-
-          const props = ft.properties || {};
-          const objectId = toNum(props.OBJECTID);
-
-          // Geometry endpoints in file order
-          let geomStart = null;
-          let geomEnd = null;
-
-          if (g.type === "LineString") {
-            const coords = g.coordinates || [];
-            if (coords.length >= 2) {
-              geomStart = coords[0];
-              geomEnd = coords[coords.length - 1];
-            }
-          } else if (g.type === "MultiLineString") {
-            const lines = g.coordinates || [];
-            if (lines.length > 0) {
-              const first = lines[0] || [];
-              const last = lines[lines.length - 1] || [];
-              if (first.length >= 1 && last.length >= 1) {
-                geomStart = first[0];
-                geomEnd = last[last.length - 1];
-              }
-            }
-          }
-
-          // Compute Manning velocity (half-full assumption)
-          const hv = computeHalfFullVelocityMps(props);
-          props._manning_n = hv.n;
-          props._slope_S = hv.S;
-          props._v_half_mps = hv.v;
-
-          // Direction: DIR is authoritative if present. If DIR is missing in the source data,
-          // we assume geometry is already stored in upstream->downstream order (u_to_d).
-          const dirFromData = parseDirFromProps(props);
-
-          let dir = "u_to_d";
-          let dirSource = "default";
-          if (dirFromData) {
-            dir = dirFromData;
-            dirSource = "DIR";
+        const { index, topologyReport, validation } = await loadNetworkInWorker(
+          { url: dataset.url, geojson: dataset.geojson, topology: topologyMode },
+          (stage) => {
+            if (!cancelled) setLoadStage(stage);
           }
-
-          props._dir = dir;
-          props._dir_source = dirSource;
-
-          const sewerNameNorm = normaliseSewerName(props.SEWER_NAME || props.SEWERNAME);
-          props._sewer_name_norm = sewerNameNorm;
-
-          if (objectId !== null && geomStart && geomEnd) {
-            const a = { lng: geomStart[0], lat: geomStart[1] };
-            const b = { lng: geomEnd[0], lat: geomEnd[1] };
-
-            // Flow endpoints derived strictly from DIR:
-            // u_to_d: flowStart = geomStart, flowEnd = geomEnd
-            // d_to_u: flowStart = geomEnd,   flowEnd = geomStart
-            const flowStart = dir === "u_to_d" ? a : b;
-            const flowEnd = dir === "u_to_d" ? b : a;
-
-            const upKey = nodeKeyFromLngLat(flowStart.lng, flowStart.lat, NODE_SNAP_TOL_M);
-            const downKey = nodeKeyFromLngLat(flowEnd.lng, flowEnd.lat, NODE_SNAP_TOL_M);
-
-            props._upNodeKey = upKey;
-            props._downNodeKey = downKey;
-
-            const upNode = ensureNode(upKey, flowStart.lng, flowStart.lat);
-            const downNode = ensureNode(downKey, flowEnd.lng, flowEnd.lat);
-
-            upNode.outObjectIds.push(objectId);
-            downNode.inObjectIds.push(objectId);
-
-            byObjectId.set(objectId, ft);
-          }
-
-          ft.properties = props;
-        }
-
-        // Pass 2: directed next connections strictly by node-match (no distance fallback).
-        for (const ft of features) {
-          const props = ft?.properties || {};
-          const objectId = toNum(props.OBJECTID);
-          const downKey = props._downNodeKey;
-
-          if (objectId === null || !downKey) continue;
-
-          const downNode = nodeIndex.get(downKey);
-
-          const next = Array.isArray(downNode?.outObjectIds)
-            ? downNode.outObjectIds.filter((id) => id !== objectId)
-            : [];
-
-          props._nextObjectIds = next;
-
-          ft.properties = props;
-        }
-
-
-        const bbox =
-          isFinite(minLat) && isFinite(minLng) && isFinite(maxLat) && isFinite(maxLng)
-            ? { minLat, minLng, maxLat, maxLng }
-            : null;
+        );
 
         if (cancelled) return;
 
+        const network = createSewerNetwork(index);
+        setLoadStage(null);
         setPipeData({
           ready: true,
-          geojson: gj,
-          bbox,
-          count: features.length,
-          nodeCount: nodeIndex.size,
-          byObjectId
+          geojson: network.geojson,
+          bbox: network.bbox,
+          count: network.count,
+          nodeCount: network.nodeCount,
+          byObjectId: network.byObjectId,
+          network,
+          topologyReport,
+          validation
         });
+        setSelectedIssue(null);
+
+        const map = mapRef.current;
+        if (map && dataset.geojson && network.bbox) {
+          const { minLat, minLng, maxLat, maxLng } = network.bbox;
+          map.fitBounds([
+            [minLat, minLng],
+            [maxLat, maxLng]
+          ]);
+        }
       } catch (e) {
         if (cancelled) return;
         console.error(e);
+        setLoadStage(null);
         setPipeData({
           ready: false,
           geojson: null,
           bbox: null,
           count: 0,
           nodeCount: 0,
-          byObjectId: null
+          byObjectId: null,
+          network: null,
+          topologyReport: null,
+          validation: null
         });
       }
     }
@@ -962,7 +447,78 @@ export default function App() {
     return () => {
       cancelled = true;
     };
-  }, []);
+  }, [dataset, topologyMode]);
+
+  // Pipes entered by travellers still on their way, for the "flushes" flow source only
+  const activeFlushKey = useMemo(
+    () =>
+      flowLoading.source !== "flushes"
+        ? ""
+        : points
+            .filter((p) => (p.mode === "street" || p.mode === "pipe") && toNum(p.contact?.pipeObjectId) !== null)
+            .map((p) => p.contact.pipeObjectId)
+            .sort((a, b) => a - b)
+            .join(","),
+    [points, flowLoading.source]
+  );
+
+  // Re-apply roughness whenever the network or the roughness settings change; runs before
+  // the flow effect below, which re-accumulates against the new capacities
+  useEffect(() => {
+    pipeData.network?.setRoughness(roughness);
+  }, [pipeData.network, roughness]);
+
+  // MATERIAL codes the roughness table doesn't list
+  const unmatchedMaterialCodes = useMemo(
+    () => unmatchedMaterials(pipeData.geojson?.features, roughness.table),
+    [pipeData.geojson, roughness.table]
+  );
+
+  // Re-accumulate flows whenever the network, the loading, the active flushes, the
+  // diurnal multiplier or the roughness change
+  useEffect(() => {
+    const network = pipeData.network;
+    if (!network) return;
+    const flushObjectIds = activeFlushKey ? activeFlushKey.split(",").map(Number) : [];
+    const events = network.setFlowLoading({ ...flowLoading, flushObjectIds, multiplier: flowMultiplier });
+
+    const wasSpilling = spillingRef.current.network === network ? spillingRef.current.ids : new Set();
+    const time = clockText(simClockRef.current);
+    const started = events.filter((e) => !wasSpilling.has(e.objectId)).map((e) => ({ time, ...e }));
+    spillingRef.current = { network, ids: new Set(events.map((e) => e.objectId)) };
+
+    setOverflows(events);
+    setPumpInflowState({
+      network,
+      inflows: new Map(network.pumpStations.map((ps) => [ps.id, stationInflowLps(ps, network.byObjectId)]))
+    });
+    if (started.length > 0) setOverflowLog((log) => [...started.reverse(), ...log].slice(0, OVERFLOW_LOG_MAX));
+    setFlowVersion((v) => v + 1);
+  }, [pipeData.network, flowLoading, activeFlushKey, flowMultiplier, roughness]);
+
+  // Re-apply flow depths whenever the network, the depth settings or the flows change
+  useEffect(() => {
+    const network = pipeData.network;
+    if (!network) return;
+    network.setDepthRatios({ ...depthSettings, fromFlow: velocitiesFromFlow });
+    setUtilisationState({ network, rows: utilisationRowsOf(network.byObjectId) });
+    setDepthVersion((v) => v + 1);
+  }, [pipeData.network, depthSettings, velocitiesFromFlow, flowVersion]);
+
+  // Pipes below the self-cleansing velocity, ranked: re-read off the network whenever the
+  // settings change or depths are re-applied (which changes velocities, hence depthVersion)
+  useEffect(() => {
+    const network = pipeData.network;
+    if (!network) return;
+    setSedimentState({ network, rows: sedimentRiskPipes(network.byObjectId, sedimentSettings) });
+  }, [pipeData.network, sedimentSettings, depthVersion]);
+
+  // Distinct SUBAREA values, for per-subarea population
+  const subareas = useMemo(() => {
+    const set = new Set();
+    for (const ft of pipeData.geojson?.features || []) set.add(String(ft.properties?.SUBAREA ?? "").trim());
+    return [...set].sort();
+  }, [pipeData.geojson]);
 
   // 2) Ask browser for device location; use it as spawn point
   useEffect(() => {
@@ -994,9 +550,10 @@ export default function App() {
   }, []);
 
   async function buildStreetRouteForPoint(pointId, startLL) {
-    if (!pipeData.geojson) return;
+    const network = pipeData.network;
+    if (!network) return;
 
-    const contact = findNearestPipeContact(pipeData.geojson, startLL);
+    const contact = network.nearestContact(startLL);
     if (!contact || !contact.point) {
       setPoints((prev) =>
         prev.map((pt) => (pt.id === pointId ? { ...pt, mode: "error", error: "No pipes found" } : pt))
@@ -1004,19 +561,21 @@ export default function App() {
       return;
     }
 
-    const props = contact.feature?.properties || {};
-    const objectId = toNum(props.OBJECTID);
+    const objectId = contact.objectId;
 
     try {
       const route = await fetchOsrmRoute(startLL, contact.point);
       const distM = routeDistanceMeters(route);
       const etaS = STREET_SPEED_MPS > 0 ? distM / STREET_SPEED_MPS : 0;
-	  
-	  const pipePlan =
-	    pipeData.byObjectId && objectId !== null
-		  ? buildPipePlanFromObjectId(objectId, contact.point, pipeData.byObjectId)
-		  : null;
-	  
+
+      const pipeRoute =
+        objectId !== null
+          ? network.planRoute(objectId, contact.point, {
+              outOfService: outOfServiceRef.current,
+              strategy: routeStrategyRef.current
+            })
+          : null;
+
       setPoints((prev) =>
         prev.map((pt) =>
           pt.id === pointId
@@ -1036,7 +595,8 @@ export default function App() {
                   pipeObjectId: objectId
                 },
                 pipe: null,
-                pipePlan
+                pipePlan: pipeRoute?.coords || null,
+                pipeRoute
               }
             : pt
         )
@@ -1059,34 +619,70 @@ export default function App() {
         const contactPoint = pt.contact?.point;
         const objectId = pt.contact?.pipeObjectId;
 
-        if (!pipeData.byObjectId || objectId === null || !contactPoint) {
+        const network = pipeData.network;
+        if (!network || objectId === null || !contactPoint) {
           return { ...pt, mode: "error", error: "Pipe network not ready" };
         }
 
-        const ft = pipeData.byObjectId.get(objectId);
-        const props = ft?.properties || {};
-
-        const vRaw = toNum(props._v_half_mps) || 0;
-        const v = clamp(vRaw, PIPE_SPEED_MIN_MPS, PIPE_SPEED_MAX_MPS);
+        const route = network.planRoute(objectId, contactPoint, {
+          outOfService: outOfServiceRef.current,
+          strategy: routeStrategyRef.current
+        });
+        const legs = route?.legs || [];
+
+        // Pump stations on the route: the traveller waits at the end of the leg feeding each one
+        const pumpStops = [];
+        legs.forEach((leg, i) => {
+          const nextId = legs[i + 1]?.objectId;
+          const ps = network.pumpStations.find(
+            (st) => st.inletObjectIds.includes(leg.objectId) && st.risingMainObjectIds.includes(nextId)
+          );
+          if (ps) pumpStops.push({ stationId: ps.id, leg: i });
+        });
 
-        const plan = buildPipePlanFromObjectId(objectId, contactPoint, pipeData.byObjectId);
+        // Skip any legs with nowhere to go before the first point to head for
+        const start = advanceOnLegs(legs, 0, 1, [], () => 0);
 
         return {
           ...pt,
-          mode: "pipe",
+          mode: start.leg === null ? endModeOf({ pipeRoute: route }) : "pipe",
           street: pt.street ? { ...pt.street, visible: false } : pt.street,
           pipe: {
-            objectId,
-            idx: 1,
-            speedMps: v,
-            segmentVelocityMps: v
+            objectId: start.leg === null ? objectId : legs[start.leg].objectId,
+            leg: start.leg,
+            idx: start.idx,
+            speedMps: travelSpeedMps(network.getPipe(objectId)?.properties),
+            pumpStops,
+            waitingAt: null,
+            waitS: 0
           },
-          pipePlan: plan
+          pipePlan: route?.coords || [],
+          pipeRoute: route
         };
       })
     );
   }
 
+  function runEnsemble(objectId, point) {
+    const network = pipeData.network;
+    if (!network) return;
+    const result = network.runEnsemble(objectId, point, {
+      ...ensembleSettings,
+      outOfService: outOfServiceRef.current,
+      strategy: routeStrategyRef.current
+    });
+    setEnsembleState({ network, result });
+  }
+
+  function toggleOutage(objectId) {
+    setOutOfService((prev) => {
+      const next = new Set(prev);
+      if (next.has(objectId)) next.delete(objectId);
+      else next.add(objectId);
+      return next;
+    });
+  }
+
   // 3) Add a dot and immediately create its street route to nearest pipe
   function addPointAt(lat, lng, name) {
     const id = Date.now() + Math.random();
@@ -1101,6 +697,7 @@ export default function App() {
       {
         id,
         name: finalName,
+        flushedAt: clockText(simClock),
         lat,
         lng,
         mode: "street",
@@ -1108,6 +705,7 @@ export default function App() {
         contact: null,
         pipe: null,
         pipePlan: null,
+        pipeRoute: null,
         error: null
       }
     ]);
@@ -1156,10 +754,13 @@ export default function App() {
   // 4) Animate dots: street mode then pipe mode
   useEffect(() => {
     const TICK_MS = 80;
+    const clockStepS = (clockRate * TICK_MS) / 1000;
     const timer = setInterval(() => {
+      if (clockRate > 0) setSimClock((c) => (c + clockStepS) % SECONDS_PER_DAY);
+
       setPoints((prev) =>
         prev.map((pt) => {
-          if (pt.mode === "error" || pt.mode === "arrived") return pt;
+          if (pt.mode === "error" || pt.mode === "arrived" || pt.mode === "blocked") return pt;
 
           // Street movement
           if (pt.mode === "street" && pt.street && Array.isArray(pt.street.route)) {
@@ -1203,44 +804,53 @@ export default function App() {
             return { ...pt, lat, lng };
           }
 
-          // Pipe movement
-          if (pt.mode === "pipe" && pt.pipePlan && Array.isArray(pt.pipePlan)) {
-            const plan = pt.pipePlan;
-            const idx = pt.pipe?.idx || 1;
-            const target = plan[idx];
+          // Pipe movement, leg by leg: the traveller takes up each pipe's speed as it enters it
+          if (pt.mode === "pipe" && Array.isArray(pt.pipeRoute?.legs)) {
+            const legs = pt.pipeRoute.legs;
+            const pumpStops = pt.pipe.pumpStops;
+
+            // At a pump station, wait for the wet well to fill unless it is pumping now
+            const waitAt = (stop) => {
+              const ps = pipeData.network?.pumpStationState(stop.stationId, simClockRef.current);
+              return ps?.phase === "filling" ? ps.secondsToChange : 0;
+            };
+
+            // Waiting in a pump station's wet well until it next pumps (simulation time)
+            if (pt.pipe.waitingAt) {
+              const waitS = pt.pipe.waitS - clockStepS;
+              if (waitS > 0) return { ...pt, pipe: { ...pt.pipe, waitS } };
+
+              const on = advanceOnLegs(legs, pt.pipe.leg + 1, 1, pumpStops, waitAt);
+              if (on.leg === null) return { ...pt, mode: endModeOf(pt), pipe: { ...pt.pipe, waitingAt: null, waitS: 0 } };
+              return { ...pt, pipe: { ...pt.pipe, ...on, objectId: legs[on.leg].objectId } };
+            }
 
+            const target = legs[pt.pipe.leg]?.coords[pt.pipe.idx];
             if (!target) {
-              return { ...pt, mode: "arrived" };
+              return { ...pt, mode: endModeOf(pt) };
             }
 
             const here = { lat: pt.lat, lng: pt.lng };
 
-            // Determine speed for current pipe feature (updates at junctions by re-reading properties)
-            let speed = pt.pipe?.speedMps || 0.6;
-
-            // If we can identify current feature by objectId and update speed from it:
-            const objectId = pt.pipe?.objectId;
-            if (pipeData.byObjectId && objectId !== null && objectId !== undefined) {
-              const ft = pipeData.byObjectId.get(objectId);
-              const props = ft?.properties || {};
-              const vRaw = toNum(props._v_half_mps) || speed;
-              speed = clamp(vRaw, PIPE_SPEED_MIN_MPS, PIPE_SPEED_MAX_MPS);
-            }
+            // Current velocity of the pipe being travelled, so flow changes show mid-journey
+            const speed = travelSpeedMps(pipeData.byObjectId?.get(pt.pipe.objectId)?.properties);
 
             const speedMult = speed10x ? 10 : 1;
             const stepMeters = (speed * speedMult * TICK_MS) / 1000;
             const dist = metersBetween(here, target);
 
             if (dist <= stepMeters) {
-              const nextIdx = idx + 1;
-              const atEnd = nextIdx >= plan.length;
+              const on = advanceOnLegs(legs, pt.pipe.leg, pt.pipe.idx + 1, pumpStops, waitAt);
+              const atEnd = on.leg === null;
 
               return {
                 ...pt,
                 lat: target.lat,
                 lng: target.lng,
-                pipe: { ...pt.pipe, idx: nextIdx, speedMps: speed },
-                mode: atEnd ? "arrived" : "pipe"
+                pipe: atEnd
+                  ? { ...pt.pipe, speedMps: speed }
+                  : { ...pt.pipe, ...on, objectId: legs[on.leg].objectId, speedMps: speed },
+                mode: atEnd ? endModeOf(pt) : "pipe"
               };
             }
 
@@ -1257,20 +867,165 @@ export default function App() {
     }, TICK_MS);
 
     return () => clearInterval(timer);
-  }, [pipeData.byObjectId, speed10x]);
+  }, [pipeData.byObjectId, pipeData.network, speed10x, clockRate]);
 
   const pipeStats = useMemo(() => {
     if (!pipeData.ready) return "Pipes: loading…";
     return `Pipes: ${pipeData.count.toLocaleString()} | Nodes: ${pipeData.nodeCount.toLocaleString()}`;
   }, [pipeData.ready, pipeData.count, pipeData.nodeCount]);
 
+  const loadStageText = useMemo(() => {
+    const i = LOAD_STAGES.findIndex((st) => st.stage === loadStage);
+    return i >= 0 ? `${LOAD_STAGES[i].label}… (${i + 1}/${LOAD_STAGES.length})` : "";
+  }, [loadStage]);
+
   const lastFew = useMemo(() => points.slice(-5), [points]);
 
+  const sedimentIds = useMemo(() => new Set(sedimentRows.map((r) => r.objectId)), [sedimentRows]);
+
+  // Wet well state of every pump station at the current simulation time, on the inflows
+  // taken when flows were last re-accumulated
+  const pumpStates = useMemo(() => {
+    if (!pumpInflows) return [];
+    return pipeData.network.pumpStations.map((station) => {
+      const inflowLps = pumpInflows.get(station.id);
+      return { station, inflowLps, ...pumpCycleState(station, inflowLps, simClock) };
+    });
+  }, [pipeData.network, pumpInflows, simClock]);
+
+  // Dropping a pipe file (GeoJSON, zipped Shapefile, GeoPackage) on the map opens the
+  // field-mapping import panel; dropping a CSV previews an attribute join by OBJECTID
+  async function handleFileDrop(e) {
+    e.preventDefault();
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+
+    try {
+      if (file.name.toLowerCase().endsWith(".csv")) {
+        if (!pipeData.geojson) throw new Error("Pipe network not ready");
+        const joined = joinCsvByObjectId(pipeData.geojson, parseCsv(await file.text()));
+        setPendingJoin({ fileName: file.name, ...joined });
+        setImportError(null);
+        return;
+      }
+
+      const { geojson: gj, skippedRows } = await readPipeFile(file);
+      setPendingImport({ fileName: file.name, geojson: gj, attributes: listAttributeNames(gj), skippedRows });
+      setImportError(null);
+    } catch (err) {
+      console.error(err);
+      setImportError(`${file.name}: ${err.message || err}`);
+    }
+  }
+
+  function importDataset(geojson, name) {
+    setPendingImport(null);
+    setDataset({ id: `import-${Date.now()}`, name, url: null, geojson });
+  }
+
+  function applyCsvJoin(join) {
+    setPendingJoin(null);
+    setDataset((d) => ({
+      id: `join-${Date.now()}`,
+      name: `${d.name} + ${join.fileName}`,
+      url: null,
+      geojson: join.geojson
+    }));
+  }
+
+  function applyCleanedDataset(geojson) {
+    setDataset({ id: `clean-${Date.now()}`, name: geojson.name, url: null, geojson });
+  }
+
+  function selectIssue(issue) {
+    setSelectedIssue(issue);
+
+    const map = mapRef.current;
+    if (!map || !issue) return;
+
+    if (issue.bounds) {
+      map.fitBounds(issue.bounds, { padding: [40, 40], maxZoom: 18 });
+    } else if (typeof issue.lat === "number" && typeof issue.lng === "number") {
+      map.setView([issue.lat, issue.lng], 18);
+    }
+  }
+
+  // Highlights and zooms to a set of pipes, the same way as a validation issue
+  function selectPipes(objectIds) {
+    const coords = objectIds.flatMap((id) => flattenFeatureCoords(pipeData.byObjectId?.get(id)));
+    const bounds =
+      coords.length > 0
+        ? [
+            [Math.min(...coords.map((c) => c.lat)), Math.min(...coords.map((c) => c.lng))],
+            [Math.max(...coords.map((c) => c.lat)), Math.max(...coords.map((c) => c.lng))]
+          ]
+        : null;
+    selectIssue({ objectIds, bounds });
+  }
+
+  const selectedIssueLines = useMemo(() => {
+    if (!selectedIssue || !pipeData.byObjectId) return [];
+    return selectedIssue.objectIds
+      .map((id) => flattenFeatureCoords(pipeData.byObjectId.get(id)).map((c) => [c.lat, c.lng]))
+      .filter((line) => line.length > 1);
+  }, [selectedIssue, pipeData.byObjectId]);
+
   return (
     <div className="layout">
       <div className="sidebar">
         <div className="counter">Flushes: {flushes}</div>
         <div className="counterSub">{pipeStats}</div>
+        {loadStage && <div className="counterSub">{loadStageText}</div>}
+        <label className="field">
+          Dataset
+          <select
+            value={dataset.id}
+            onChange={(e) => setDataset(BUNDLED_DATASETS.find((d) => d.id === e.target.value) || dataset)}
+          >
+            {BUNDLED_DATASETS.map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.label}
+              </option>
+            ))}
+            {!BUNDLED_DATASETS.includes(dataset) && <option value={dataset.id}>{dataset.name}</option>}
+          </select>
+        </label>
+        <div className="counterSub">
+          Drop a pipe GeoJSON, zipped Shapefile or GeoPackage on the map to import it, or an attribute CSV to join
+          it by OBJECTID.
+        </div>
+
+        {pendingImport && (
+          <ImportPanel
+            key={pendingImport.fileName}
+            pending={pendingImport}
+            onImport={importDataset}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+
+        {pendingJoin && (
+          <CsvJoinPanel
+            key={pendingJoin.fileName}
+            pending={pendingJoin}
+            onApply={applyCsvJoin}
+            onCancel={() => setPendingJoin(null)}
+          />
+        )}
+
+        {importError && <div className="panel">{importError}</div>}
+
+        {!BUNDLED_DATASETS.includes(dataset) && (
+          <button onClick={() => setDataset(DEFAULT_DATASET)}>Back to bundled pipes</button>
+        )}
+
+        <CleaningPanel
+          geojson={pipeData.geojson}
+          datasetName={dataset.name}
+          datasets={BUNDLED_DATASETS}
+          topology={topologyMode}
+          onUseCleaned={applyCleanedDataset}
+        />
 
         <button onClick={() => setShowStreetRoutes((v) => !v)}>
           {showStreetRoutes ? "Hide street routes" : "Show street routes"}
@@ -1292,6 +1047,169 @@ export default function App() {
           {clickToFlush ? "Click-to-flush: ON" : "Click-to-flush: OFF"}
         </button>
 
+        <button onClick={() => setTopologyMode((m) => (m === "snap" ? "manhole" : "snap"))}>
+          {topologyMode === "snap" ? "Topology: endpoint snap" : "Topology: manhole ID"}
+        </button>
+
+        <div className="panel">
+          <div className="panelTitle">What-if outages</div>
+          <button onClick={() => setPipeClickMode((m) => (m === "outage" ? null : "outage"))}>
+            {pipeClickMode === "outage" ? "Click pipes to toggle: ON" : "Click pipes to toggle: OFF"}
+          </button>
+          <div>
+            Out of service: {outOfService.size > 0 ? [...outOfService].join(", ") : "none"}
+          </div>
+          {outOfService.size > 0 && <button onClick={() => setOutOfService(new Set())}>Clear outages</button>}
+          <div style={{ opacity: 0.7 }}>
+            New travellers re-route through relief sewers ({RELIEF_UNITTYPES.join(", ")}) or stop as blocked.
+            Grey dashed pipes are not in service in the data.
+          </div>
+        </div>
+
+        <UpstreamPanel
+          active={pipeClickMode === "upstream"}
+          onActiveChange={(on) => setPipeClickMode(on ? "upstream" : null)}
+          trace={upstreamTrace}
+          onZoom={() => selectPipes(upstreamTrace.objectIds)}
+          onClear={() => setUpstreamState(null)}
+          exportGeojson={() => catchmentGeoJson(upstreamTrace, pipeData.byObjectId)}
+        />
+
+        <RouteComparePanel
+          strategy={routeStrategy}
+          onStrategyChange={setRouteStrategy}
+          strategies={ROUTE_STRATEGIES}
+          labels={ROUTE_STRATEGY_LABELS}
+          colours={ROUTE_STRATEGY_COLOURS}
+          comparing={pipeClickMode === "compare"}
+          onComparingChange={(on) => setPipeClickMode(on ? "compare" : null)}
+          rows={compareRows}
+          onClear={() => setCompareState(null)}
+        />
+
+        <EnsemblePanel
+          settings={ensembleSettings}
+          onChange={setEnsembleSettings}
+          active={pipeClickMode === "ensemble"}
+          onActiveChange={(on) => setPipeClickMode(on ? "ensemble" : null)}
+          result={ensemble}
+          onSelectOutfall={(o) => selectPipes([o.objectId])}
+          onClear={() => setEnsembleState(null)}
+        />
+
+        <ClockPanel
+          seconds={simClock}
+          onSecondsChange={setSimClock}
+          rate={clockRate}
+          onRateChange={setClockRate}
+          pattern={diurnalPattern}
+          onPatternChange={setDiurnalPattern}
+          multiplier={flowMultiplier}
+          running={clockRunning}
+        />
+
+        <FlowPanel
+          loading={flowLoading}
+          onChange={setFlowLoading}
+          fromFlow={velocitiesFromFlow}
+          fromFlowLocked={clockRunning}
+          onFromFlowChange={(fromFlow) => setDepthSettings((s) => ({ ...s, fromFlow }))}
+          subareas={subareas}
+        />
+
+        <DepthPanel
+          settings={depthSettings}
+          onChange={setDepthSettings}
+          fromFlow={velocitiesFromFlow}
+          clockRunning={clockRunning}
+        />
+
+        <RoughnessPanel settings={roughness} onChange={setRoughness} unmatched={unmatchedMaterialCodes} />
+
+        <label className="field">
+          Colour pipes by
+          <select value={pipeColourBy} onChange={(e) => setPipeColourBy(e.target.value)}>
+            <option value="plain">—</option>
+            <option value="dirSource">Direction source</option>
+            <option value="flow">Accumulated flow</option>
+            <option value="utilisation">Utilisation</option>
+          </select>
+        </label>
+
+        {pipeColourBy === "utilisation" && (
+          <div className="panel">
+            {UTILISATION_BANDS.map((b, i) => (
+              <div key={b.label}>
+                <span className="swatch" style={{ background: UTILISATION_COLOURS[i] }} /> {b.label}
+              </div>
+            ))}
+            <div style={{ opacity: 0.7 }}>Load / full-bore capacity (Q_full); grey: not applicable</div>
+          </div>
+        )}
+
+        {pipeColourBy === "flow" && (
+          <div className="panel">
+            {FLOW_COLOURS.map((b, i) => (
+              <div key={b.colour}>
+                <span className="swatch" style={{ background: b.colour }} />{" "}
+                {i === 0 ? "<" : `${FLOW_COLOURS[i - 1].maxLps}–`}
+                {Number.isFinite(b.maxLps) ? b.maxLps : "+"} L/s
+              </div>
+            ))}
+            <div>
+              <span className="swatch" style={{ background: SURCHARGED_COLOUR }} /> surcharged
+            </div>
+          </div>
+        )}
+
+        {pipeColourBy === "dirSource" && (
+          <div className="panel">
+            {Object.entries(DIR_SOURCE_COLOURS).map(([k, c]) => (
+              <div key={k}>
+                <span className="swatch" style={{ background: c }} /> {k}
+              </div>
+            ))}
+            <div style={{ opacity: 0.7 }}>Dashed: stored order contradicts inverts</div>
+          </div>
+        )}
+
+        {pipeData.topologyReport && (
+          <div className="panel">
+            <div className="panelTitle">Manhole ID vs snap</div>
+            <div>Pipes differing: {pipeData.topologyReport.pipeMismatches.length}</div>
+            <div>Manholes split: {pipeData.topologyReport.manholeSplits.length}</div>
+            <div>Snap cells merging manholes: {pipeData.topologyReport.snapMerges.length}</div>
+
+            <button onClick={() => setShowTopologyIssues((v) => !v)}>
+              {showTopologyIssues ? "Hide disagreements" : "Show disagreements"}
+            </button>
+
+            <button onClick={() => downloadJson("topology_report.json", pipeData.topologyReport)}>
+              Download topology report
+            </button>
+          </div>
+        )}
+
+        <OverflowPanel
+          active={overflows}
+          log={overflowLog}
+          onSelect={(e) => selectPipes([e.objectId, ...e.reliefObjectIds])}
+          onClear={() => setOverflowLog([])}
+        />
+
+        <UtilisationTable pipes={utilisationRows} onSelect={(id) => selectPipes([id])} />
+
+        <SedimentPanel
+          settings={sedimentSettings}
+          onChange={setSedimentSettings}
+          pipes={sedimentRows}
+          highlight={showSediment}
+          onHighlightChange={setShowSediment}
+          onSelect={(id) => selectPipes([id])}
+        />
+
+        <ValidationPanel report={pipeData.validation} selectedIssue={selectedIssue} onSelectIssue={selectIssue} />
+
         {users.map((u) => (
           <button key={u} onClick={() => addPoint(u)}>
             {u}
@@ -1301,14 +1219,12 @@ export default function App() {
         <pre>{JSON.stringify(lastFew, null, 2)}</pre>
       </div>
 
-      <div className="map">
+      <div className="map" onDragOver={(e) => e.preventDefault()} onDrop={handleFileDrop}>
         <MapContainer
           center={[FALLBACK_CENTER.lat, FALLBACK_CENTER.lng]}
           zoom={13}
           style={{ height: "100%", width: "100%" }}
-          whenCreated={(map) => {
-            mapRef.current = map;
-          }}
+          ref={mapRef}
         >
           <TileLayer
             attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
@@ -1316,33 +1232,135 @@ export default function App() {
           />
           <ClickToAddFlush />
 
+          {upstreamTrace?.polygon && (
+            <GeoJSON
+              key={`catchment-${upstreamTrace.objectId}`}
+              data={upstreamTrace.polygon}
+              interactive={false}
+              style={{ color: UPSTREAM_COLOUR, weight: 2, fillOpacity: 0.1, dashArray: "6 4" }}
+            />
+          )}
+
           {pipeData.geojson && (
             <GeoJSON
+              key={`pipes-${dataset.id}-${topologyMode}`}
               data={pipeData.geojson}
-              style={() => ({
-                color: "#ff00ff",
-                weight: 4,
-                opacity: 0.95,
-                className: "pipe-glow"
-              })}
-              onEachFeature={(feature, layer) => {
+              eventHandlers={{
+                click: (e) => {
+                  if (!pipeClickMode) return;
+                  const id = toNum(e.layer?.feature?.properties?.OBJECTID);
+                  if (id === null) return;
+                  e.layer.closePopup();
+                  const network = pipeData.network;
+
+                  if (pipeClickMode === "outage") toggleOutage(id);
+                  if (pipeClickMode === "upstream") {
+                    setUpstreamState({ network, trace: traceUpstream(network.byObjectId, network.nodeIndex, id) });
+                  }
+                  if (pipeClickMode === "compare") {
+                    // Spills follow the larger share, so the rules differ only in their choices
+                    const contact = network.nearestContact(e.latlng);
+                    const start = contact?.objectId === id ? contact.point : e.latlng;
+                    const routes = Object.fromEntries(
+                      ROUTE_STRATEGIES.map((strategy) => [
+                        strategy,
+                        network.planRoute(id, start, { outOfService, strategy, random: () => 0.5 })
+                      ])
+                    );
+                    setCompareState({ network, routes });
+                  }
+                  if (pipeClickMode === "ensemble") {
+                    const contact = network.nearestContact(e.latlng);
+                    runEnsemble(id, contact?.objectId === id ? contact.point : e.latlng);
+                  }
+                }
+              }}
+              style={(feature) => {
                 const p = feature?.properties || {};
-                const v = toNum(p._v_half_mps);
-                const vTxt = v !== null ? `${v.toFixed(2)} m/s` : "—";
-                const next = Array.isArray(p._nextObjectIds) ? p._nextObjectIds.slice(0, 10).join(", ") : "—";
-
-                layer.bindPopup(
-                  `<div style="font-family: sans-serif; font-size: 12px;">
+                if (outOfService.has(toNum(p.OBJECTID))) {
+                  return { color: "#111111", weight: 6, opacity: 1, dashArray: "4 4" };
+                }
+                if (p._in_service === false) {
+                  return { color: "#9a9a9a", weight: 4, opacity: 0.9, dashArray: "6 6" };
+                }
+                if (upstreamIds.has(toNum(p.OBJECTID))) {
+                  return { color: UPSTREAM_COLOUR, weight: 6, opacity: 1 };
+                }
+                if (showSediment && sedimentIds.has(toNum(p.OBJECTID))) {
+                  return { color: SEDIMENT_COLOUR, weight: 7, opacity: 1 };
+                }
+                if (pipeColourBy === "dirSource") {
+                  return {
+                    color: DIR_SOURCE_COLOURS[p._dir_source] || DIR_SOURCE_COLOURS.default,
+                    weight: 4,
+                    opacity: 0.95,
+                    dashArray: p._il_contradicts_geometry ? "6 4" : null
+                  };
+                }
+                if (pipeColourBy === "utilisation") {
+                  const band = utilisationBand(p._utilisation);
+                  return {
+                    color: band === null ? "#9a9a9a" : UTILISATION_COLOURS[band],
+                    weight: band === null ? 2 : 3 + band,
+                    opacity: 0.95
+                  };
+                }
+                if (pipeColourBy === "flow") {
+                  const q = toNum(p._flow_lps) || 0;
+                  return {
+                    color: p._surcharged ? SURCHARGED_COLOUR : flowColour(q),
+                    weight: 2 + Math.min(6, Math.log10(1 + q) * 3),
+                    opacity: 0.95
+                  };
+                }
+                return {
+                  color: "#ff00ff",
+                  weight: 4,
+                  opacity: 0.95,
+                  className: "pipe-glow"
+                };
+              }}
+              onEachFeature={(feature, layer) => {
+                // Built on open so it shows the current depth settings
+                layer.bindPopup(() => {
+                  const p = feature?.properties || {};
+                  const v = toNum(p._v_half_mps);
+                  const vTxt = v !== null ? `${v.toFixed(2)} m/s` : "—";
+                  const next = Array.isArray(p._nextObjectIds) ? p._nextObjectIds.slice(0, 10).join(", ") : "—";
+                  const fmt = (x, digits) => (typeof x === "number" ? x.toFixed(digits) : "—");
+                  const regime =
+                    p._pressure_v_mps === undefined
+                      ? "gravity"
+                      : p._pump_station
+                        ? `pumped from ${p._pump_station} (full bore)`
+                        : `pressurised ${p.UNITTYPE === "SIPHON" ? "siphon" : "rising main"} (full bore)`;
+
+                  return `<div style="font-family: sans-serif; font-size: 12px;">
                     <div><b>OBJECTID:</b> ${p.OBJECTID ?? "—"}</div>
                     <div><b>SEWER_NAME:</b> ${p.SEWER_NAME ?? "—"}</div>
-                    <div><b>Material:</b> ${p.MATERIAL ?? "—"} <span style="opacity:0.7">(n=${p._manning_n ?? "—"})</span></div>
+                    <div><b>Material:</b> ${p.MATERIAL ?? "—"} <span style="opacity:0.7">(n=${fmt(p._manning_n, 4)}${p._material_matched === false ? ", not in table" : ""})</span></div>
+                    <div><b>Age:</b> ${p._age_years ?? "—"} years${p.DATE_RELINED ? ` <span style="opacity:0.7">(relined ${String(p.DATE_RELINED).slice(0, 10)})</span>` : ""}</div>
                     <div><b>Size (W/H mm):</b> ${p.PIPE_WIDTH ?? "—"} / ${p.PIPE_HEIGHT ?? "—"}</div>
                     <div><b>Pipe length:</b> ${p.PIPE_LENGTH ?? "—"}</div>
                     <div><b>Slope (GRADE):</b> ${p.GRADE ?? "—"}</div>
                     <div><b>Up IL / Down IL:</b> ${p.UPSTREAM_IL ?? "—"} / ${p.DOWNSTREAM_IL ?? "—"}</div>
+                    <div><b>Direction:</b> ${p._dir ?? "—"} <span style="opacity:0.7">(${p._dir_source ?? "—"})</span></div>
+                    ${p._il_contradicts_geometry ? `<div style="color:#c05000"><b>Stored order contradicts invert levels</b></div>` : ""}
                     <div><b>Velocity (half-full):</b> ${vTxt}</div>
-                  </div>`
-                );
+                    <div><b>Flow regime:</b> ${regime}</div>
+                    <div><b>Section:</b> ${p._section_shape ?? "—"}</div>
+                    <div><b>Depth ratio y/D:</b> ${fmt(p._depth_ratio, 2)}</div>
+                    <div><b>Flow area / wetted perimeter:</b> ${fmt(p._flow_area_m2, 4)} m² / ${fmt(p._wetted_perimeter_m, 3)} m</div>
+                    <div><b>Hydraulic radius:</b> ${fmt(p._hydraulic_radius_m, 4)} m</div>
+                    <div><b>Flow (local / accumulated):</b> ${fmt(p._inflow_lps, 2)} / ${fmt(p._flow_lps, 2)} L/s</div>
+                    <div><b>Capacity (full bore Q_full):</b> ${fmt(p._q_full_lps, 1)} L/s</div>
+                    <div><b>Load / utilisation:</b> ${fmt(p._flow_lps, 2)} L/s / ${typeof p._utilisation === "number" ? `${Math.round(p._utilisation * 100)}%` : "—"}</div>
+                    <div><b>Peak capacity:</b> ${fmt(p._capacity_lps, 1)} L/s${p._surcharged ? ` <span style="color:#ff2020"><b>surcharged</b></span>` : ""}</div>
+                    ${p._spill_lps > 0 ? `<div style="color:#ff8c00"><b>Spilling:</b> ${fmt(p._spill_lps, 1)} L/s (${Math.round(p._spill_share * 100)}%) into overflow pipes</div>` : ""}
+                    <div><b>Velocity used:</b> ${fmt(p._v_mps, 2)} m/s</div>
+                    <div><b>Service status:</b> ${p.SERVICE_STATUS ?? "—"}${p.SERVICE_STATUS_CHG_DATE ? ` <span style="opacity:0.7">(since ${String(p.SERVICE_STATUS_CHG_DATE).slice(0, 10)})</span>` : ""}</div>
+                  </div>`;
+                });
               }}
             />
           )}
@@ -1426,13 +1444,182 @@ export default function App() {
               ))}
 
 
+          {showTopologyIssues &&
+            pipeData.topologyReport &&
+            pipeData.topologyReport.pipeMismatches.map((m) => (
+              <CircleMarker
+                key={`topo-pipe-${m.objectId}`}
+                center={[m.lat, m.lng]}
+                radius={5}
+                pathOptions={{ color: "#ff8c00", fillColor: "#ff8c00", fillOpacity: 0.8, weight: 1 }}
+              >
+                <Popup>
+                  <div style={{ fontFamily: "sans-serif", fontSize: 12 }}>
+                    <div><b>OBJECTID:</b> {m.objectId}</div>
+                    <div><b>Snap next:</b> {m.snapNext.join(", ") || "—"}</div>
+                    <div><b>Manhole ID next:</b> {m.idNext.join(", ") || "—"}</div>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+
+          {showTopologyIssues &&
+            pipeData.topologyReport &&
+            pipeData.topologyReport.manholeSplits.map((m) => (
+              <CircleMarker
+                key={`topo-mh-${m.manholeId}`}
+                center={[m.lat, m.lng]}
+                radius={6}
+                pathOptions={{ color: "#ff3030", fillColor: "#ff3030", fillOpacity: 0.8, weight: 1 }}
+              >
+                <Popup>
+                  <div style={{ fontFamily: "sans-serif", fontSize: 12 }}>
+                    <div><b>Manhole:</b> {m.manholeId}</div>
+                    <div><b>Snap nodes:</b> {m.snapNodeKeys.length}</div>
+                    <div><b>Spread:</b> {m.spreadM.toFixed(1)} m</div>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+
+          {showTopologyIssues &&
+            pipeData.topologyReport &&
+            pipeData.topologyReport.snapMerges.map((m) => (
+              <CircleMarker
+                key={`topo-snap-${m.nodeKey}`}
+                center={[m.lat, m.lng]}
+                radius={6}
+                pathOptions={{ color: "#ffd400", fillColor: "#ffd400", fillOpacity: 0.8, weight: 1 }}
+              >
+                <Popup>
+                  <div style={{ fontFamily: "sans-serif", fontSize: 12 }}>
+                    <div><b>Snap node:</b> {m.nodeKey}</div>
+                    <div><b>Manholes:</b> {m.manholeIds.join(", ")}</div>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+
+          {ensembleLines.map((line) => (
+            <Polyline
+              key={`ensemble-${line.id}`}
+              positions={line.positions}
+              pathOptions={{ color: ENSEMBLE_COLOUR, weight: 3 + 6 * line.share, opacity: 0.25 + 0.75 * line.share }}
+            >
+              <Tooltip sticky>
+                Pipe {line.id}: {(line.share * 100).toFixed(0)}% of traces
+              </Tooltip>
+            </Polyline>
+          ))}
+
+          {ensemble?.outfalls
+            .filter((o) => o.lat !== null)
+            .map((o) => (
+              <CircleMarker
+                key={`ensemble-end-${o.end}-${o.objectId}`}
+                center={[o.lat, o.lng]}
+                radius={6 + 14 * o.probability}
+                pathOptions={{
+                  color: o.end === "blocked" ? "#ff2020" : ENSEMBLE_COLOUR,
+                  fillColor: ENSEMBLE_COLOUR,
+                  fillOpacity: 0.6,
+                  weight: 2
+                }}
+              >
+                <Tooltip>
+                  {(o.probability * 100).toFixed(1)}% of traces end at pipe {o.objectId}
+                  {o.end === "blocked" ? " (blocked)" : ""}
+                </Tooltip>
+              </CircleMarker>
+            ))}
+
+          {compareRoutesByStrategy &&
+            ROUTE_STRATEGIES.map((strategy, i) => (
+              <Polyline
+                key={`compare-${strategy}`}
+                positions={compareRoutesByStrategy[strategy].coords.map((c) => [c.lat, c.lng])}
+                pathOptions={{ color: ROUTE_STRATEGY_COLOURS[strategy], weight: 11 - 3 * i, opacity: 0.85 }}
+              >
+                <Tooltip sticky>{ROUTE_STRATEGY_LABELS[strategy]}</Tooltip>
+              </Polyline>
+            ))}
+
+          {compareRows
+            .filter((r) => r.divergesAt)
+            .map((r) => (
+              <CircleMarker
+                key={`diverge-${r.strategy}`}
+                center={[r.divergesAt.lat, r.divergesAt.lng]}
+                radius={8}
+                pathOptions={{ color: ROUTE_STRATEGY_COLOURS[r.strategy], fillColor: "#ffffff", fillOpacity: 1, weight: 3 }}
+              >
+                <Tooltip>
+                  {ROUTE_STRATEGY_LABELS[r.strategy]} leaves {ROUTE_STRATEGY_LABELS[routeStrategy]} here
+                </Tooltip>
+              </CircleMarker>
+            ))}
+
+          {selectedIssueLines.map((line, i) => (
+            <Polyline
+              key={`issue-${i}`}
+              positions={line}
+              pathOptions={{ color: "#ffe600", weight: 9, opacity: 0.8 }}
+            />
+          ))}
+
+          {overflows
+            .filter((e) => e.lat !== null)
+            .map((e) => (
+              <CircleMarker
+                key={`overflow-${e.objectId}`}
+                center={[e.lat, e.lng]}
+                radius={6 + Math.min(10, Math.log10(1 + e.spillLps) * 3)}
+                pathOptions={{ color: "#111", fillColor: OVERFLOW_COLOURS[e.kind], fillOpacity: 0.85, weight: 2 }}
+              >
+                <Popup>
+                  <div style={{ fontFamily: "sans-serif", fontSize: 12 }}>
+                    <div>
+                      <b>Overflow ({e.kind})</b>
+                    </div>
+                    <div>From pipe: {e.objectId}</div>
+                    <div>Into: {e.reliefObjectIds.join(", ")}</div>
+                    <div>
+                      Spill: {e.spillLps.toFixed(1)} L/s ({Math.round(e.share * 100)}% of the flow)
+                    </div>
+                  </div>
+                </Popup>
+              </CircleMarker>
+            ))}
+
+          {pumpStates.map((st) => (
+            <Marker key={st.station.id} position={[st.station.lat, st.station.lng]} icon={PUMP_ICONS[st.phase]}>
+              <Popup>
+                <div style={{ fontFamily: "sans-serif", fontSize: 12 }}>
+                  <div>
+                    <b>Pump station {st.station.id}</b>
+                  </div>
+                  <div>Phase: {st.phase}</div>
+                  <div>Wet well level: {Math.round(st.level * 100)}% of {st.station.wetWellM3} m³</div>
+                  <div>Inflow / pump rate: {st.inflowLps.toFixed(2)} / {st.station.pumpRateLps.toFixed(0)} L/s</div>
+                  <div>
+                    Fill / pump time: {durationText(st.fillS)} / {durationText(st.pumpS)}
+                  </div>
+                  <div>Next change in: {durationText(st.secondsToChange)}</div>
+                  <div>Inlet: {st.station.inletObjectIds.join(", ")}</div>
+                  <div>Rising main: {st.station.risingMainObjectIds.join(", ")}</div>
+                  <div>Travellers waiting: {points.filter((p) => p.pipe?.waitingAt === st.station.id).length}</div>
+                </div>
+              </Popup>
+            </Marker>
+          ))}
+
           {points.map((p) => (
             <CircleMarker
               key={p.id}
               center={[p.lat, p.lng]}
               radius={7}
               pathOptions={{
-                color: "#6b1b1b",
+                color: p.mode === "blocked" ? "#ff2020" : "#6b1b1b",
                 fillColor: "#6b1b1b",
                 fillOpacity: 0.95,
                 weight: 2
@@ -1444,8 +1631,33 @@ export default function App() {
                     <b>{p.name}</b>
                   </div>
                   <div>Mode: {p.mode}</div>
-                  {p.mode === "pipe" && p.pipe?.speedMps !== undefined && (
-                    <div>Pipe speed: {p.pipe.speedMps.toFixed(2)} m/s</div>
+                  {p.flushedAt && <div>Flushed at {p.flushedAt}</div>}
+                  {p.pipe?.waitingAt && (
+                    <div>
+                      Waiting at pump station {p.pipe.waitingAt}: pumps in {durationText(p.pipe.waitS)}
+                    </div>
+                  )}
+                  {p.mode === "pipe" && p.pipe?.leg !== null && p.pipe?.leg !== undefined && (
+                    <div>
+                      In pipe {p.pipe.objectId} (leg {p.pipe.leg + 1} of {p.pipeRoute.legs.length}) ·{" "}
+                      {p.pipe.speedMps.toFixed(2)} m/s
+                    </div>
+                  )}
+                  {p.mode === "blocked" && (
+                    <div>Blocked: pipe(s) {p.pipeRoute?.blockedObjectIds.join(", ")} out of service</div>
+                  )}
+                  {p.pipeRoute?.reliefObjectIds.length > 0 && (
+                    <div>Re-routed via relief sewer(s) {p.pipeRoute.reliefObjectIds.join(", ")}</div>
+                  )}
+                  {p.pipeRoute?.spills.map((sp) => (
+                    <div key={sp.fromObjectId}>
+                      Spilled from pipe {sp.fromObjectId} into {sp.toObjectId}
+                    </div>
+                  ))}
+                  {p.contact?.pipeObjectId !== null && p.contact?.pipeObjectId !== undefined && (
+                    <button onClick={() => runEnsemble(p.contact.pipeObjectId, p.contact.point)}>
+                      Ensemble from this flush
+                    </button>
                   )}
                   {p.error && <div>{p.error}</div>}
                 </div>
@@ -1460,4 +1672,4 @@ export default function App() {
       </div>
     </div>
   );
-}
+}
\ No newline at end of file
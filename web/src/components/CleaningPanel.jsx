@@ -0,0 +1,127 @@
+import { useState } from "react";
+
+import { downloadJson } from "../download.js";
+import { CLEAN_DEFAULTS, cleanNetwork } from "../network/index.js";
+import { connectivityStatsInWorker } from "../networkClient.js";
+
+// Rows of the connectivity comparison table
+const STAT_ROWS = [
+  ["pipes", "Pipes"],
+  ["nodes", "Nodes"],
+  ["components", "Components"],
+  ["largestComponentShare", "Largest component"],
+  ["junctions", "Junctions (3+ pipes)"],
+  ["danglingNodes", "Dangling nodes"],
+  ["sinks", "Sinks"],
+  ["deadEnds", "Dead-end pipes"],
+  ["isolated", "Isolated pipes"]
+];
+
+function fmtStat(key, v) {
+  if (key === "largestComponentShare") return `${(v * 100).toFixed(1)}%`;
+  return v.toLocaleString();
+}
+
+// Runs the cleaning pass on the active dataset and compares connectivity across datasets.
+// `datasets` is the list offered by the dataset switcher; each is built in the network worker.
+export default function CleaningPanel({ geojson, datasetName, datasets, topology, onUseCleaned }) {
+  const [toleranceM, setToleranceM] = useState(CLEAN_DEFAULTS.toleranceM);
+  const [splitTJunctions, setSplitTJunctions] = useState(CLEAN_DEFAULTS.splitTJunctions);
+  const [removeDuplicates, setRemoveDuplicates] = useState(CLEAN_DEFAULTS.removeDuplicates);
+  const [result, setResult] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  function runCleaning() {
+    if (!geojson || !(toleranceM > 0)) return;
+    setResult(cleanNetwork({ ...geojson, name: datasetName }, { toleranceM, splitTJunctions, removeDuplicates }));
+  }
+
+  async function compare() {
+    setBusy(true);
+    try {
+      const columns = [];
+      for (const ds of datasets) {
+        const stats = await connectivityStatsInWorker({ url: ds.url, geojson: ds.geojson, topology });
+        columns.push({ name: ds.label || ds.name, stats });
+      }
+      if (result) {
+        columns.push({
+          name: `This run (${result.stats.toleranceM} m)`,
+          stats: await connectivityStatsInWorker({ geojson: result.geojson, topology })
+        });
+      }
+      setComparison(columns);
+    } catch (e) {
+      console.error(e);
+      setComparison(null);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Network cleaning</div>
+
+      <label className="field">
+        Snap tolerance (m)
+        <input type="number" min="1" step="1" value={toleranceM} onChange={(e) => setToleranceM(Number(e.target.value))} />
+      </label>
+      <label>
+        <input type="checkbox" checked={splitTJunctions} onChange={(e) => setSplitTJunctions(e.target.checked)} /> Split
+        pipes at T-junctions
+      </label>
+      <br />
+      <label>
+        <input type="checkbox" checked={removeDuplicates} onChange={(e) => setRemoveDuplicates(e.target.checked)} />{" "}
+        Remove duplicate pipes
+      </label>
+
+      <button disabled={!geojson} onClick={runCleaning}>
+        Clean {datasetName}
+      </button>
+
+      {result && (
+        <>
+          <div style={{ opacity: 0.8 }}>
+            {result.stats.featuresIn.toLocaleString()} → {result.stats.featuresOut.toLocaleString()} pipes ·{" "}
+            {result.stats.endpointsMoved} endpoint(s) moved · {result.stats.tJunctions} T-junction split(s) ·{" "}
+            {result.stats.duplicatesRemoved} duplicate(s) removed
+          </div>
+          <button onClick={() => onUseCleaned(result.geojson)}>Use cleaned dataset</button>
+          <button onClick={() => downloadJson(`${result.geojson.name}.geojson`, result.geojson)}>
+            Download cleaned GeoJSON
+          </button>
+        </>
+      )}
+
+      <button disabled={busy} onClick={compare}>
+        {busy ? "Comparing…" : "Compare connectivity"}
+      </button>
+
+      {comparison && (
+        <table className="statsTable">
+          <thead>
+            <tr>
+              <th />
+              {comparison.map((c) => (
+                <th key={c.name}>{c.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {STAT_ROWS.map(([key, label]) => (
+              <tr key={key}>
+                <td>{label}</td>
+                {comparison.map((c) => (
+                  <td key={c.name}>{fmtStat(key, c.stats[key])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useState } from "react";
+
+import { clockText, DEFAULT_DIURNAL_PATTERN, parseDiurnalPattern, SECONDS_PER_DAY } from "../network/index.js";
+
+// Simulated seconds per real second
+const CLOCK_RATES = [0, 1, 60, 600];
+
+const CHART_W = 200;
+const CHART_H = 40;
+
+// Simulation time of day and the diurnal multiplier curve that scales base flow. While the
+// clock is `running`, velocities come from that flow.
+export default function ClockPanel({
+  seconds,
+  onSecondsChange,
+  rate,
+  onRateChange,
+  pattern,
+  onPatternChange,
+  multiplier,
+  running
+}) {
+  const [patternText, setPatternText] = useState(pattern.join(", "));
+  const [patternError, setPatternError] = useState(null);
+
+  const max = Math.max(...pattern, 1);
+  const x = (i) => (i / pattern.length) * CHART_W;
+  const y = (v) => CHART_H - (v / max) * CHART_H;
+  // Wraps back to midnight's value at the right-hand edge
+  const line = [...pattern, pattern[0]].map((v, i) => `${x(i)},${y(v)}`).join(" ");
+  const nowX = (seconds / SECONDS_PER_DAY) * CHART_W;
+
+  function applyPattern(text) {
+    try {
+      onPatternChange(parseDiurnalPattern(text));
+      setPatternError(null);
+    } catch (e) {
+      setPatternError(String(e?.message || e));
+    }
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">
+        Time of day: {clockText(seconds)} · base flow ×{multiplier.toFixed(2)}
+      </div>
+      <input
+        type="range"
+        min="0"
+        max={SECONDS_PER_DAY - 1}
+        step="300"
+        value={Math.floor(seconds)}
+        onChange={(e) => onSecondsChange(Number(e.target.value))}
+      />
+
+      <label className="field">
+        Clock speed
+        <select value={rate} onChange={(e) => onRateChange(Number(e.target.value))}>
+          {CLOCK_RATES.map((r) => (
+            <option key={r} value={r}>
+              {r === 0 ? "Paused" : `${r}×`}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <svg width={CHART_W} height={CHART_H} style={{ display: "block", margin: "8px 0" }}>
+        <polyline points={line} fill="none" stroke="#00b7ff" strokeWidth="1.5" />
+        <line x1={nowX} x2={nowX} y1="0" y2={CHART_H} stroke="#ff00ff" />
+      </svg>
+
+      <label className="field">
+        Hourly multipliers (midnight first)
+        <textarea rows="3" value={patternText} onChange={(e) => setPatternText(e.target.value)} />
+      </label>
+      <button onClick={() => applyPattern(patternText)}>Apply pattern</button>
+      <button
+        onClick={() => {
+          setPatternText(DEFAULT_DIURNAL_PATTERN.join(", "));
+          applyPattern(DEFAULT_DIURNAL_PATTERN.join(", "));
+        }}
+      >
+        Reset
+      </button>
+      {patternError && <div style={{ color: "#ff3030" }}>{patternError}</div>}
+
+      <div style={{ opacity: 0.7 }}>
+        Scales subarea and per-metre flow.{" "}
+        {running
+          ? "While the clock runs, pipe velocities come from this flow, so travellers move faster at peak times."
+          : "Paused: velocities come from the flow panel's setting."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from "react";
+
+import { downloadJson } from "../download.js";
+
+function fmt(v) {
+  return v === null || v === undefined ? "—" : String(v);
+}
+
+// Preview of a CSV attribute join. `pending` is { fileName, geojson, summary } from joinCsvByObjectId.
+export default function CsvJoinPanel({ pending, onApply, onCancel }) {
+  const [open, setOpen] = useState(null);
+  const { summary } = pending;
+
+  const toggle = (k) => setOpen((o) => (o === k ? null : k));
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Join {pending.fileName}</div>
+      <div>
+        {summary.rows.toLocaleString()} row(s), {summary.matched.toLocaleString()} matched,{" "}
+        {summary.unchanged.toLocaleString()} unchanged
+      </div>
+
+      <div className="issueType" onClick={() => toggle("changed")}>
+        {open === "changed" ? "▾" : "▸"} Changed: {summary.changed.length}
+      </div>
+      {open === "changed" && (
+        <div className="issueList">
+          {summary.changed.slice(0, 200).map((c) => (
+            <div key={c.objectId} className="issue">
+              <div>
+                <b>{c.objectId}</b>
+              </div>
+              {c.fields.map((f) => (
+                <div key={f.field} style={{ opacity: 0.8 }}>
+                  {f.field}: {fmt(f.before)} → {fmt(f.after)}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="issueType" onClick={() => toggle("missing")}>
+        {open === "missing" ? "▾" : "▸"} Pipes missing from CSV: {summary.missing.length}
+      </div>
+      {open === "missing" && <div className="issueList">{summary.missing.slice(0, 500).join(", ")}</div>}
+
+      <div className="issueType" onClick={() => toggle("unmatched")}>
+        {open === "unmatched" ? "▾" : "▸"} Unmatched CSV rows: {summary.unmatched.length}
+      </div>
+      {open === "unmatched" && (
+        <div className="issueList">
+          {summary.unmatched.slice(0, 200).map((u) => (
+            <div key={u.line} className="issue">
+              Line {u.line}: {fmt(u.objectId)} ({u.reason})
+            </div>
+          ))}
+        </div>
+      )}
+
+      {summary.duplicates.length > 0 && (
+        <div>Duplicate OBJECTIDs (last row used): {summary.duplicates.join(", ")}</div>
+      )}
+
+      <button disabled={summary.changed.length === 0} onClick={() => onApply(pending)}>
+        Apply and rebuild network
+      </button>
+      <button onClick={() => downloadJson("csv_join_summary.json", summary)}>Download summary</button>
+      <button onClick={onCancel}>Cancel</button>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useState } from "react";
+
+import { MAX_DEPTH_RATIO, MIN_DEPTH_RATIO } from "../network/index.js";
+
+// Flow depth used for pipe velocities: one global depth ratio (y/D) plus per-pipe overrides.
+// `settings` is { depthRatio, perPipe: { [OBJECTID]: ratio } }. With `fromFlow` pipes without
+// an override run at their normal depth instead, because of the flow panel or, while
+// `clockRunning`, the simulation clock; the global ratio is then disabled.
+export default function DepthPanel({ settings, onChange, fromFlow, clockRunning }) {
+  const [pipeId, setPipeId] = useState("");
+  const [pipeRatio, setPipeRatio] = useState(settings.depthRatio);
+
+  const overrides = Object.entries(settings.perPipe);
+
+  function setOverride(id, ratio) {
+    const perPipe = { ...settings.perPipe };
+    if (ratio === null) delete perPipe[id];
+    else perPipe[id] = ratio;
+    onChange({ ...settings, perPipe });
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Flow depth</div>
+      <label className="field">
+        Depth ratio y/D (all pipes): {settings.depthRatio.toFixed(2)}
+        <input
+          type="range"
+          min={MIN_DEPTH_RATIO}
+          max={MAX_DEPTH_RATIO}
+          step="0.01"
+          value={settings.depthRatio}
+          disabled={fromFlow}
+          onChange={(e) => onChange({ ...settings, depthRatio: Number(e.target.value) })}
+        />
+      </label>
+      {fromFlow && (
+        <div style={{ opacity: 0.7 }}>
+          {clockRunning
+            ? "The clock is running, so pipes run at the depth of their flow; pause it to use this ratio."
+            : "Velocities come from flow (see the flow panel); this ratio is not used."}{" "}
+          Per-pipe depths below still apply.
+        </div>
+      )}
+
+      <label className="field">
+        Pipe OBJECTID
+        <input value={pipeId} onChange={(e) => setPipeId(e.target.value.trim())} />
+      </label>
+      <label className="field">
+        Depth ratio for that pipe
+        <input
+          type="number"
+          min={MIN_DEPTH_RATIO}
+          max={MAX_DEPTH_RATIO}
+          step="0.05"
+          value={pipeRatio}
+          onChange={(e) => setPipeRatio(Number(e.target.value))}
+        />
+      </label>
+      <button disabled={!pipeId || !(pipeRatio > 0)} onClick={() => setOverride(pipeId, pipeRatio)}>
+        Set pipe depth
+      </button>
+
+      {overrides.map(([id, ratio]) => (
+        <div key={id} className="issue" onClick={() => setOverride(id, null)} title="Remove">
+          {id}: {Number(ratio).toFixed(2)} ✕
+        </div>
+      ))}
+    </div>
+  );
+}
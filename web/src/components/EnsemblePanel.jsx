@@ -0,0 +1,86 @@
+import { SPLIT_WEIGHTINGS } from "../network/index.js";
+
+const CHART_W = 200;
+const CHART_H = 50;
+
+const WEIGHTING_LABELS = {
+  capacity: "By capacity",
+  grade: "By grade",
+  uniform: "Evenly"
+};
+
+// Ensemble traces: `settings` is { runs, splitWeighting } (see ENSEMBLE_DEFAULTS). While
+// `active`, clicking a pipe runs the ensemble from there. `result` is runRouteEnsemble's
+// output or null; clicking an outfall calls onSelectOutfall(outfall).
+export default function EnsemblePanel({ settings, onChange, active, onActiveChange, result, onSelectOutfall, onClear }) {
+  const histogram = result?.histogram || [];
+  const maxCount = Math.max(1, ...histogram.map((b) => b.count));
+  const barW = histogram.length > 0 ? CHART_W / histogram.length : 0;
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Ensemble traces</div>
+      <label className="field">
+        Traces per run
+        <input
+          type="number"
+          min="1"
+          max="2000"
+          step="50"
+          value={settings.runs}
+          onChange={(e) => onChange({ ...settings, runs: Number(e.target.value) })}
+        />
+      </label>
+      <label className="field">
+        Split at junctions
+        <select value={settings.splitWeighting} onChange={(e) => onChange({ ...settings, splitWeighting: e.target.value })}>
+          {SPLIT_WEIGHTINGS.map((w) => (
+            <option key={w} value={w}>
+              {WEIGHTING_LABELS[w]}
+            </option>
+          ))}
+        </select>
+      </label>
+      <button onClick={() => onActiveChange(!active)}>
+        {active ? "Click a pipe to run: ON" : "Click a pipe to run: OFF"}
+      </button>
+
+      {result && (
+        <>
+          <div>
+            {result.runs} traces from pipe {result.startObjectId} · {result.outfalls.length} end points
+          </div>
+          {result.outfalls.map((o) => (
+            <div key={`${o.end}-${o.objectId}`} className="issue" onClick={() => onSelectOutfall(o)}>
+              {(o.probability * 100).toFixed(1)}% · pipe {o.objectId}
+              {o.end === "blocked" ? " (blocked)" : ""}
+            </div>
+          ))}
+
+          {histogram.length > 0 && (
+            <>
+              <div style={{ marginTop: 8 }}>Arrival times</div>
+              <svg width={CHART_W} height={CHART_H} style={{ display: "block" }}>
+                {histogram.map((b, i) => {
+                  const h = (b.count / maxCount) * CHART_H;
+                  return (
+                    <rect key={i} x={i * barW + 1} y={CHART_H - h} width={Math.max(1, barW - 2)} height={h} fill="#ff8c00">
+                      <title>
+                        {(b.fromS / 60).toFixed(0)}–{(b.toS / 60).toFixed(0)} min: {b.count}
+                      </title>
+                    </rect>
+                  );
+                })}
+              </svg>
+              <div style={{ opacity: 0.7 }}>
+                {(histogram[0].fromS / 60).toFixed(0)} to {(histogram[histogram.length - 1].toS / 60).toFixed(0)} min at
+                current pipe velocities
+              </div>
+            </>
+          )}
+          <button onClick={onClear}>Clear</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+import { FLOW_SOURCES, FLUSH_FLOW_LPS, LITRES_PER_PE_PER_DAY } from "../network/index.js";
+
+const SOURCE_LABELS = {
+  subarea: "Population per subarea",
+  perMetre: "Per metre of pipe",
+  flushes: "Active flushes"
+};
+
+// Flow loading and whether velocities come from it (normal depth) or from the depth panel.
+// `loading` is { source, pePerSubarea: { [SUBAREA]: PE }, defaultPe, lpsPerMetre }.
+// `fromFlowLocked` holds velocities on flow while the simulation clock runs.
+export default function FlowPanel({ loading, onChange, fromFlow, fromFlowLocked, onFromFlowChange, subareas }) {
+  function setSubareaPe(sub, value) {
+    const pePerSubarea = { ...loading.pePerSubarea };
+    if (value === "") delete pePerSubarea[sub];
+    else pePerSubarea[sub] = Number(value);
+    onChange({ ...loading, pePerSubarea });
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Flow</div>
+      <label>
+        <input
+          type="checkbox"
+          checked={fromFlow}
+          disabled={fromFlowLocked}
+          onChange={(e) => onFromFlowChange(e.target.checked)}
+        />{" "}
+        Velocities from accumulated flow
+      </label>
+      {fromFlowLocked && <div style={{ opacity: 0.7 }}>On while the clock runs; pause it to use the flow depth below.</div>}
+
+      <label className="field">
+        Load from
+        <select value={loading.source} onChange={(e) => onChange({ ...loading, source: e.target.value })}>
+          {FLOW_SOURCES.map((s) => (
+            <option key={s} value={s}>
+              {SOURCE_LABELS[s]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {loading.source === "subarea" && (
+        <>
+          <label className="field">
+            PE per subarea (default)
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={loading.defaultPe}
+              onChange={(e) => onChange({ ...loading, defaultPe: Number(e.target.value) })}
+            />
+          </label>
+          {subareas.map((sub) => (
+            <label key={sub} className="field">
+              {sub || "(no subarea)"}
+              <input
+                type="number"
+                min="0"
+                step="100"
+                placeholder={String(loading.defaultPe)}
+                value={loading.pePerSubarea[sub] ?? ""}
+                onChange={(e) => setSubareaPe(sub, e.target.value)}
+              />
+            </label>
+          ))}
+          <div style={{ opacity: 0.7 }}>{LITRES_PER_PE_PER_DAY} L/PE/day, spread over each subarea by pipe length</div>
+        </>
+      )}
+
+      {loading.source === "perMetre" && (
+        <label className="field">
+          L/s per metre of pipe
+          <input
+            type="number"
+            min="0"
+            step="0.001"
+            value={loading.lpsPerMetre}
+            onChange={(e) => onChange({ ...loading, lpsPerMetre: Number(e.target.value) })}
+          />
+        </label>
+      )}
+
+      {loading.source === "flushes" && (
+        <div style={{ opacity: 0.7 }}>{FLUSH_FLOW_LPS} L/s per traveller, from the pipe it entered</div>
+      )}
+
+      {!fromFlow && (
+        <div style={{ opacity: 0.7 }}>Velocities use the flow depth below; flows are still shown.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+import { useMemo, useState } from "react";
+
+import { deleteMappingProfile, loadMappingProfiles, saveMappingProfile } from "../mappingProfiles.js";
+import { FIELD_ROLES, applyFieldMapping, fitMappingToAttributes, guessFieldMapping } from "../network/index.js";
+
+// Field mapping for a dropped pipe dataset. `pending` is { fileName, geojson, attributes,
+// skippedRows }.
+export default function ImportPanel({ pending, onImport, onCancel }) {
+  const [mapping, setMapping] = useState(() => guessFieldMapping(pending.attributes));
+  const [profiles, setProfiles] = useState(() => loadMappingProfiles());
+  const [profileName, setProfileName] = useState("");
+
+  const sample = useMemo(() => {
+    const features = pending.geojson?.features || [];
+    return features.find((ft) => ft?.properties)?.properties || {};
+  }, [pending.geojson]);
+
+  const lineCount = useMemo(
+    () =>
+      (pending.geojson?.features || []).filter(
+        (ft) => ft?.geometry?.type === "LineString" || ft?.geometry?.type === "MultiLineString"
+      ).length,
+    [pending.geojson]
+  );
+
+  function applyProfile(name) {
+    const profile = profiles.find((p) => p.name === name);
+    if (!profile) return;
+    setMapping(fitMappingToAttributes(profile.mapping, pending.attributes));
+    setProfileName(profile.name);
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Import {pending.fileName}</div>
+      <div style={{ opacity: 0.7 }}>{lineCount.toLocaleString()} line feature(s)</div>
+      {pending.skippedRows > 0 && (
+        <div style={{ color: "#ff3030" }}>
+          {pending.skippedRows.toLocaleString()} row(s) skipped: their geometry could not be read
+        </div>
+      )}
+
+      {profiles.length > 0 && (
+        <label className="field">
+          Profile
+          <select value="" onChange={(e) => applyProfile(e.target.value)}>
+            <option value="">Load a saved profile…</option>
+            {profiles.map((p) => (
+              <option key={p.name} value={p.name}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {FIELD_ROLES.map(({ role, label }) => (
+        <label key={role} className="field">
+          {label}
+          <select
+            value={mapping[role] || ""}
+            onChange={(e) => setMapping((m) => ({ ...m, [role]: e.target.value || null }))}
+          >
+            <option value="">(none)</option>
+            {pending.attributes.map((a) => (
+              <option key={a} value={a}>
+                {a}
+                {sample[a] !== undefined && sample[a] !== null ? ` — e.g. ${String(sample[a]).slice(0, 24)}` : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
+
+      <label className="field">
+        Save mapping as profile
+        <input value={profileName} placeholder="Profile name" onChange={(e) => setProfileName(e.target.value)} />
+      </label>
+
+      <button disabled={!profileName.trim()} onClick={() => setProfiles(saveMappingProfile(profileName, mapping))}>
+        Save profile
+      </button>
+
+      {profiles.some((p) => p.name === profileName.trim()) && (
+        <button onClick={() => setProfiles(deleteMappingProfile(profileName.trim()))}>Delete profile</button>
+      )}
+
+      <button
+        disabled={lineCount === 0}
+        onClick={() => onImport(applyFieldMapping(pending.geojson, mapping), pending.fileName)}
+      >
+        Import pipes
+      </button>
+
+      <button onClick={onCancel}>Cancel</button>
+    </div>
+  );
+}
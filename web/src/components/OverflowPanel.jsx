@@ -0,0 +1,35 @@
+import { downloadJson } from "../download.js";
+
+// Log entries listed before the rest are cut off
+const SHOWN = 50;
+
+// Overflow events: spills into diversion / relief pipes, as they start. `log` entries are
+// { time, objectId, kind, spillLps, reliefObjectIds, lat, lng }, newest first.
+export default function OverflowPanel({ active, log, onSelect, onClear }) {
+  return (
+    <div className="panel">
+      <div className="panelTitle">Overflows</div>
+      <div style={{ opacity: 0.7 }}>
+        {active.length} spilling now · {log.length} logged
+      </div>
+
+      {log.slice(0, SHOWN).map((e, i) => (
+        <div key={`${e.time}-${e.objectId}-${i}`} className="issue" onClick={() => onSelect(e)}>
+          {e.time} · {e.kind} · pipe {e.objectId} → {e.reliefObjectIds.join(", ")} · {e.spillLps.toFixed(1)} L/s
+          {e.lat !== null && (
+            <div style={{ opacity: 0.7 }}>
+              {e.lat.toFixed(5)}, {e.lng.toFixed(5)}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {log.length > 0 && (
+        <>
+          <button onClick={() => downloadJson("overflow_log.json", log)}>Download log</button>
+          <button onClick={onClear}>Clear log</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import { useState } from "react";
+
+import { DEFAULT_ROUGHNESS, FALLBACK_MANNING_N, materialCode, ROUGHNESS_DEFAULTS } from "../network/index.js";
+
+// Manning's n per MATERIAL code, editable, with the codes in the data the table misses.
+// `settings` is { table, ageing, nPerDecade, maxIncrease } (see ROUGHNESS_DEFAULTS);
+// `unmatched` is [{ code, count }]. Clicking an unmatched code adds it at the fallback n.
+export default function RoughnessPanel({ settings, onChange, unmatched }) {
+  const [newCode, setNewCode] = useState("");
+
+  const rows = Object.entries(settings.table).sort(([a], [b]) => a.localeCompare(b));
+
+  function setN(code, n) {
+    const table = { ...settings.table };
+    if (n === null) delete table[code];
+    else table[code] = n;
+    onChange({ ...settings, table });
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Pipe roughness (Manning's n)</div>
+
+      {unmatched.length > 0 && (
+        <>
+          <div style={{ color: "#c05000" }}>Not in the table (n = {FALLBACK_MANNING_N}):</div>
+          {unmatched.map((u) => (
+            <div key={u.code} className="issue" onClick={() => setN(u.code, FALLBACK_MANNING_N)} title="Add to table">
+              {u.code} · {u.count} pipes
+            </div>
+          ))}
+        </>
+      )}
+
+      <table className="statsTable">
+        <tbody>
+          {rows.map(([code, n]) => (
+            <tr key={code}>
+              <td>{code}</td>
+              <td>
+                <input
+                  type="number"
+                  min="0.005"
+                  max="0.05"
+                  step="0.001"
+                  value={n}
+                  style={{ width: 70 }}
+                  onChange={(e) => setN(code, Number(e.target.value))}
+                />
+              </td>
+              <td className="issue" onClick={() => setN(code, null)} title="Remove">
+                ✕
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <label className="field">
+        Add material code
+        <input value={newCode} onChange={(e) => setNewCode(e.target.value)} />
+      </label>
+      <button
+        disabled={!materialCode(newCode)}
+        onClick={() => {
+          setN(materialCode(newCode), FALLBACK_MANNING_N);
+          setNewCode("");
+        }}
+      >
+        Add
+      </button>
+      <button onClick={() => onChange({ ...settings, table: DEFAULT_ROUGHNESS })}>Reset table</button>
+
+      <label>
+        <input type="checkbox" checked={settings.ageing} onChange={(e) => onChange({ ...settings, ageing: e.target.checked })} />{" "}
+        Roughen with age
+      </label>
+      {settings.ageing && (
+        <>
+          <label className="field">
+            n added per decade
+            <input
+              type="number"
+              min="0"
+              step="0.0001"
+              value={settings.nPerDecade}
+              onChange={(e) => onChange({ ...settings, nPerDecade: Number(e.target.value) })}
+            />
+          </label>
+          <label className="field">
+            Most n added
+            <input
+              type="number"
+              min="0"
+              step="0.001"
+              value={settings.maxIncrease}
+              onChange={(e) => onChange({ ...settings, maxIncrease: Number(e.target.value) })}
+            />
+          </label>
+        </>
+      )}
+      <div style={{ opacity: 0.7 }}>
+        Age counts from DATE_RELINED, else DATE_OF_CONSTRUCTION (default {ROUGHNESS_DEFAULTS.nPerDecade} per decade).
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// Junction rule for new travellers, and a compare mode: while `comparing`, clicking a pipe
+// plans every strategy from that point. `rows` is compareRoutes' output (or empty),
+// `labels` and `colours` are per strategy.
+export default function RouteComparePanel({
+  strategy,
+  onStrategyChange,
+  strategies,
+  labels,
+  colours,
+  comparing,
+  onComparingChange,
+  rows,
+  onClear
+}) {
+  return (
+    <div className="panel">
+      <div className="panelTitle">Route choice</div>
+      <label className="field">
+        Junction rule for travellers
+        <select value={strategy} onChange={(e) => onStrategyChange(e.target.value)}>
+          {strategies.map((s) => (
+            <option key={s} value={s}>
+              {labels[s]}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <button onClick={() => onComparingChange(!comparing)}>
+        {comparing ? "Click a pipe to compare: ON" : "Click a pipe to compare: OFF"}
+      </button>
+
+      {rows.length > 0 && (
+        <>
+          <table className="statsTable">
+            <thead>
+              <tr>
+                <th>Rule</th>
+                <th>Pipes</th>
+                <th>km</th>
+                <th>min</th>
+                <th>Leaves yours</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.strategy}>
+                  <td>
+                    <span className="swatch" style={{ background: colours[r.strategy] }} /> {labels[r.strategy]}
+                    {r.end === "blocked" ? " (blocked)" : ""}
+                  </td>
+                  <td>{r.pipes}</td>
+                  <td>{(r.lengthM / 1000).toFixed(2)}</td>
+                  <td>{(r.durationS / 60).toFixed(0)}</td>
+                  <td>
+                    {r.strategy === strategy
+                      ? "—"
+                      : r.divergesAt
+                        ? `after ${r.sharedPipes} pipes${r.divergesAt.objectId !== null ? ` (at ${r.divergesAt.objectId})` : ""}`
+                        : "same route"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ opacity: 0.7 }}>Spills follow the larger share of the flow; times at current pipe velocities.</div>
+          <button onClick={onClear}>Clear</button>
+        </>
+      )}
+    </div>
+  );
+}
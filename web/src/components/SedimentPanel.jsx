@@ -0,0 +1,103 @@
+import { useMemo, useState } from "react";
+
+import { downloadJson } from "../download.js";
+
+// Rows shown; the download has them all
+const ROWS = 25;
+
+const COLUMNS = [
+  { key: "objectId", label: "Pipe" },
+  { key: "lengthM", label: "Length m", digits: 0 },
+  { key: "diameterMm", label: "Dia mm", digits: 0 },
+  { key: "vMps", label: "v m/s", digits: 2 }
+];
+
+// Self-cleansing analysis: pipes slower than the threshold, for jetting schedules.
+// `settings` is { thresholdMps, basis } (see SEDIMENT_DEFAULTS), `pipes` the sedimentRiskPipes
+// rows in ranked order. Clicking a header sorts by it (again to flip), a row calls onSelect(objectId).
+export default function SedimentPanel({ settings, onChange, pipes, highlight, onHighlightChange, onSelect }) {
+  const [sortKey, setSortKey] = useState(null);
+  const [descending, setDescending] = useState(true);
+
+  const rows = useMemo(() => {
+    if (!sortKey) return pipes.slice(0, ROWS);
+    const dir = descending ? -1 : 1;
+    return pipes
+      .slice()
+      .sort((a, b) => dir * ((a[sortKey] ?? -Infinity) - (b[sortKey] ?? -Infinity)))
+      .slice(0, ROWS);
+  }, [pipes, sortKey, descending]);
+
+  const totalKm = pipes.reduce((a, p) => a + (p.lengthM || 0), 0) / 1000;
+
+  function sortBy(key) {
+    if (key === sortKey) setDescending((d) => !d);
+    else {
+      setSortKey(key);
+      setDescending(true);
+    }
+  }
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Sediment risk</div>
+      <label className="field">
+        Self-cleansing velocity (m/s)
+        <input
+          type="number"
+          min="0"
+          step="0.05"
+          value={settings.thresholdMps}
+          onChange={(e) => onChange({ ...settings, thresholdMps: Number(e.target.value) })}
+        />
+      </label>
+      <label className="field">
+        Judge pipes on
+        <select value={settings.basis} onChange={(e) => onChange({ ...settings, basis: e.target.value })}>
+          <option value="halfFull">Half-full velocity</option>
+          <option value="current">Current velocity (depth / flow settings)</option>
+        </select>
+      </label>
+      <label>
+        <input type="checkbox" checked={highlight} onChange={(e) => onHighlightChange(e.target.checked)} /> Highlight on map
+      </label>
+
+      <div style={{ opacity: 0.7 }}>
+        {pipes.length} pipes below {settings.thresholdMps} m/s · {totalKm.toFixed(1)} km
+      </div>
+
+      {pipes.length > 0 && (
+        <>
+          <table className="statsTable">
+            <thead>
+              <tr>
+                {COLUMNS.map((c) => (
+                  <th key={c.key} className="sortable" onClick={() => sortBy(c.key)}>
+                    {c.label}
+                    {c.key === sortKey ? (descending ? " ▾" : " ▴") : ""}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.objectId} className="issue" onClick={() => onSelect(r.objectId)} title={`${r.name} · ${r.material}`}>
+                  {COLUMNS.map((c) => (
+                    <td key={c.key}>
+                      {c.digits === undefined
+                        ? r[c.key]
+                        : typeof r[c.key] === "number"
+                          ? r[c.key].toFixed(c.digits)
+                          : "—"}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => downloadJson("sediment_risk_pipes.json", pipes)}>Download list</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import { downloadJson } from "../download.js";
+
+// Upstream trace: while `active`, clicking a pipe highlights everything draining to it.
+// `trace` is traceUpstream's result or null; `exportGeojson()` builds the catchment export.
+export default function UpstreamPanel({ active, onActiveChange, trace, onZoom, onClear, exportGeojson }) {
+  return (
+    <div className="panel">
+      <div className="panelTitle">Upstream catchment</div>
+      <button onClick={() => onActiveChange(!active)}>
+        {active ? "Click a pipe to trace: ON" : "Click a pipe to trace: OFF"}
+      </button>
+
+      {trace && (
+        <>
+          <div>
+            Pipe {trace.objectId}: {trace.count} pipes upstream (itself included) · {(trace.lengthM / 1000).toFixed(2)} km
+          </div>
+          {!trace.polygon && <div style={{ opacity: 0.7 }}>Too few points for a boundary</div>}
+          <button onClick={onZoom}>Zoom to</button>
+          <button onClick={() => downloadJson(`catchment_${trace.objectId}.geojson`, exportGeojson())}>
+            Export GeoJSON
+          </button>
+          <button onClick={onClear}>Clear</button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import { useMemo, useState } from "react";
+
+// Rows shown: the most constrained pipes under the current sort
+const ROWS = 25;
+
+const COLUMNS = [
+  { key: "objectId", label: "Pipe" },
+  { key: "qFullLps", label: "Q_full L/s", digits: 1 },
+  { key: "loadLps", label: "Load L/s", digits: 2 },
+  { key: "utilisation", label: "Use %", digits: 0, scale: 100 },
+  { key: "vMps", label: "v m/s", digits: 2 }
+];
+
+// Pipes by utilisation (load / full-bore capacity). `pipes` is
+// [{ objectId, name, qFullLps, loadLps, utilisation, vMps }]; clicking a header sorts by it
+// (again to flip), clicking a row calls onSelect(objectId).
+export default function UtilisationTable({ pipes, onSelect }) {
+  const [sortKey, setSortKey] = useState("utilisation");
+  const [descending, setDescending] = useState(true);
+
+  const rows = useMemo(() => {
+    const dir = descending ? -1 : 1;
+    return pipes
+      .slice()
+      .sort((a, b) => dir * ((a[sortKey] ?? -Infinity) - (b[sortKey] ?? -Infinity)))
+      .slice(0, ROWS);
+  }, [pipes, sortKey, descending]);
+
+  function sortBy(key) {
+    if (key === sortKey) setDescending((d) => !d);
+    else {
+      setSortKey(key);
+      setDescending(true);
+    }
+  }
+
+  if (pipes.length === 0) return null;
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Most constrained pipes</div>
+      <table className="statsTable">
+        <thead>
+          <tr>
+            {COLUMNS.map((c) => (
+              <th key={c.key} className="sortable" onClick={() => sortBy(c.key)}>
+                {c.label}
+                {c.key === sortKey ? (descending ? " ▾" : " ▴") : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.objectId} className="issue" onClick={() => onSelect(r.objectId)} title={r.name}>
+              {COLUMNS.map((c) => (
+                <td key={c.key}>
+                  {c.digits === undefined
+                    ? r[c.key]
+                    : typeof r[c.key] === "number"
+                      ? (r[c.key] * (c.scale ?? 1)).toFixed(c.digits)
+                      : "—"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
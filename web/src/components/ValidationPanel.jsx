@@ -0,0 +1,65 @@
+import { useState } from "react";
+
+import { downloadJson } from "../download.js";
+import { ISSUE_TYPES } from "../network/index.js";
+
+// Issues listed per type before "show more"
+const PAGE_SIZE = 25;
+
+export default function ValidationPanel({ report, selectedIssue, onSelectIssue }) {
+  const [openType, setOpenType] = useState(null);
+  const [shown, setShown] = useState(PAGE_SIZE);
+
+  if (!report) return null;
+
+  const issuesOfOpenType = openType ? report.issues.filter((i) => i.type === openType) : [];
+
+  return (
+    <div className="panel">
+      <div className="panelTitle">Network validation</div>
+      <div style={{ opacity: 0.7 }}>
+        {report.components} component(s) · {report.issues.length} issue(s)
+      </div>
+
+      {Object.entries(ISSUE_TYPES).map(([type, label]) => (
+        <div key={type}>
+          <div
+            className="issueType"
+            onClick={() => {
+              setOpenType((t) => (t === type ? null : type));
+              setShown(PAGE_SIZE);
+            }}
+          >
+            {openType === type ? "▾" : "▸"} {label}: {report.counts[type] || 0}
+          </div>
+
+          {openType === type && (
+            <div className="issueList">
+              {issuesOfOpenType.slice(0, shown).map((issue, i) => (
+                <div
+                  key={`${type}-${i}`}
+                  className={issue === selectedIssue ? "issue issueSelected" : "issue"}
+                  onClick={() => onSelectIssue(issue)}
+                >
+                  <div>{issue.message}</div>
+                  <div style={{ opacity: 0.6 }}>
+                    {issue.objectIds.slice(0, 6).join(", ")}
+                    {issue.objectIds.length > 6 ? "…" : ""}
+                  </div>
+                </div>
+              ))}
+
+              {issuesOfOpenType.length > shown && (
+                <div className="issue" onClick={() => setShown((n) => n + PAGE_SIZE)}>
+                  Show more ({issuesOfOpenType.length - shown} left)
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <button onClick={() => downloadJson("network_validation.json", report)}>Download report</button>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import proj4 from "proj4";
+import initSqlJs from "sql.js";
+import sqlWasmUrl from "sql.js/dist/sql-wasm-browser.wasm?url";
+
+import { reprojectGeometry, transformerToWgs84 } from "./reproject.js";
+import { parseGpkgGeometry } from "./wkb.js";
+
+let sqlPromise = null;
+
+function loadSql() {
+  if (!sqlPromise) sqlPromise = initSqlJs({ locateFile: () => sqlWasmUrl });
+  return sqlPromise;
+}
+
+function queryRows(db, sql, params) {
+  const stmt = db.prepare(sql);
+  try {
+    if (params) stmt.bind(params);
+    const rows = [];
+    while (stmt.step()) rows.push(stmt.getAsObject());
+    return rows;
+  } finally {
+    stmt.free();
+  }
+}
+
+// CRS definition proj4 can use for a gpkg_spatial_ref_sys row: a known EPSG code, else its WKT
+function srsDefinition(srs) {
+  if (!srs) return null;
+  const org = String(srs.organization || "").toUpperCase();
+  const code = srs.organization_coordsys_id;
+
+  if (org === "EPSG" && code) {
+    const key = `EPSG:${code}`;
+    if (key === "EPSG:4326" || proj4.defs(key)) return key;
+  }
+
+  const wkt = String(srs.definition || "").trim();
+  return wkt && wkt.toLowerCase() !== "undefined" ? wkt : null;
+}
+
+// Reads the feature tables of a GeoPackage. Returns [{ name, geometryType, geojson, skippedRows }]
+// with geometries reprojected to WGS84 lng/lat from each table's spatial reference system.
+// Rows whose geometry can't be read (unsupported WKB type, not a GeoPackage blob) are left
+// out and counted in skippedRows rather than failing the whole import.
+export async function readGeoPackage(arrayBuffer) {
+  const SQL = await loadSql();
+  const db = new SQL.Database(new Uint8Array(arrayBuffer));
+
+  try {
+    const tables = queryRows(
+      db,
+      `SELECT c.table_name, g.column_name, g.geometry_type_name, g.srs_id
+         FROM gpkg_contents c
+         JOIN gpkg_geometry_columns g ON g.table_name = c.table_name
+        WHERE c.data_type = 'features'`
+    );
+
+    const layers = [];
+
+    for (const t of tables) {
+      const srs = queryRows(db, "SELECT * FROM gpkg_spatial_ref_sys WHERE srs_id = ?", [t.srs_id])[0];
+      const transform = transformerToWgs84(srsDefinition(srs));
+
+      const features = [];
+      let skippedRows = 0;
+      for (const row of queryRows(db, `SELECT * FROM "${String(t.table_name).replace(/"/g, '""')}"`)) {
+        const blob = row[t.column_name];
+        if (!(blob instanceof Uint8Array)) continue;
+
+        let geometry = null;
+        try {
+          geometry = parseGpkgGeometry(blob).geometry;
+        } catch {
+          skippedRows += 1;
+          continue;
+        }
+        if (!geometry) continue;
+
+        const properties = {};
+        for (const [k, v] of Object.entries(row)) {
+          if (k !== t.column_name && !(v instanceof Uint8Array)) properties[k] = v;
+        }
+
+        features.push({ type: "Feature", properties, geometry: reprojectGeometry(geometry, transform) });
+      }
+
+      layers.push({
+        name: t.table_name,
+        geometryType: String(t.geometry_type_name || "").toUpperCase(),
+        geojson: { type: "FeatureCollection", features },
+        skippedRows
+      });
+    }
+
+    return layers;
+  } finally {
+    db.close();
+  }
+}
@@ -0,0 +1,58 @@
+function isLineFeature(ft) {
+  const type = ft?.geometry?.type;
+  return type === "LineString" || type === "MultiLineString";
+}
+
+// True when every coordinate is a plausible lng/lat pair
+function looksLikeLngLat(geojson) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  let ok = true;
+
+  const check = (coords) => {
+    if (!ok || !Array.isArray(coords)) return;
+    if (typeof coords[0] === "number") {
+      if (Math.abs(coords[0]) > 180 || Math.abs(coords[1]) > 90) ok = false;
+      return;
+    }
+    for (const c of coords) check(c);
+  };
+
+  for (const ft of features) check(ft?.geometry?.coordinates);
+  return ok;
+}
+
+// Reads a dropped pipe file into a WGS84 FeatureCollection:
+// - .geojson / .json
+// - .zip holding a Shapefile (.shp / .dbf / .prj)
+// - .gpkg GeoPackage
+// The Shapefile and GeoPackage readers are loaded on demand. When the file holds several
+// layers, the first one with line features is used. Returns { geojson, layerName, skippedRows },
+// where skippedRows counts rows the reader had to leave out (unreadable geometry).
+export async function readPipeFile(file) {
+  const name = String(file?.name || "");
+  const ext = name.toLowerCase().split(".").pop();
+
+  let layers;
+  if (ext === "zip") {
+    const { readZippedShapefile } = await import("./shapefile.js");
+    layers = await readZippedShapefile(await file.arrayBuffer());
+  } else if (ext === "gpkg") {
+    const { readGeoPackage } = await import("./geopackage.js");
+    layers = await readGeoPackage(await file.arrayBuffer());
+  } else if (ext === "geojson" || ext === "json") {
+    const gj = JSON.parse(await file.text());
+    if (!Array.isArray(gj?.features)) throw new Error("Not a GeoJSON FeatureCollection");
+    layers = [{ name, geojson: gj }];
+  } else {
+    throw new Error("Unsupported file type (use .geojson, a zipped Shapefile or .gpkg)");
+  }
+
+  const layer = layers.find((l) => l.geojson.features.some(isLineFeature));
+  if (!layer) throw new Error("No line features found");
+
+  if (!looksLikeLngLat(layer.geojson)) {
+    throw new Error("Coordinates are not longitude/latitude and no projection was found (include the .prj)");
+  }
+
+  return { geojson: layer.geojson, layerName: layer.name, skippedRows: layer.skippedRows || 0 };
+}
@@ -0,0 +1,28 @@
+import proj4 from "proj4";
+
+// Returns ([x, y]) => [lng, lat] for a CRS given as "EPSG:<code>", a WKT string or a proj string,
+// or null when the source is already WGS84 lng/lat.
+export function transformerToWgs84(definition) {
+  const def = String(definition || "").trim();
+  if (!def) return null;
+
+  // GDA94 / GDA2020 geographic are within a couple of metres of WGS84, close enough for mapping
+  const epsg = /^EPSG:(\d+)$/i.exec(def);
+  if (epsg && (epsg[1] === "4326" || epsg[1] === "4283" || epsg[1] === "7844")) return null;
+  if (/^urn:ogc:def:crs:OGC:1\.3:CRS84$/i.test(def)) return null;
+
+  const converter = proj4(def, "WGS84");
+  return (c) => converter.forward([c[0], c[1]]);
+}
+
+function mapCoords(coords, fn) {
+  return typeof coords[0] === "number" ? fn(coords) : coords.map((c) => mapCoords(c, fn));
+}
+
+export function reprojectGeometry(geometry, fn) {
+  if (!geometry || !fn) return geometry;
+  if (geometry.type === "GeometryCollection") {
+    return { ...geometry, geometries: geometry.geometries.map((g) => reprojectGeometry(g, fn)) };
+  }
+  return { ...geometry, coordinates: mapCoords(geometry.coordinates, fn) };
+}
@@ -0,0 +1,13 @@
+import { parseZip } from "shpjs";
+
+// Reads a zipped Shapefile (.shp / .dbf / .prj, optionally .cpg). shpjs reprojects to WGS84
+// from the .prj when one is present. Returns [{ name, geojson }], one per shapefile in the zip.
+export async function readZippedShapefile(arrayBuffer) {
+  const result = await parseZip(arrayBuffer);
+  const collections = Array.isArray(result) ? result : [result];
+
+  return collections.map((fc, i) => ({
+    name: fc.fileName || `layer ${i + 1}`,
+    geojson: { type: "FeatureCollection", features: fc.features || [] }
+  }));
+}
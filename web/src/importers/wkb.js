@@ -0,0 +1,106 @@
+// Well-Known Binary and GeoPackage geometry blob decoding to GeoJSON geometries.
+// Z / M ordinates are read and dropped; coordinates come out as [x, y].
+
+const WKB_TYPES = {
+  1: "Point",
+  2: "LineString",
+  3: "Polygon",
+  4: "MultiPoint",
+  5: "MultiLineString",
+  6: "MultiPolygon",
+  7: "GeometryCollection"
+};
+
+function readGeometry(view, offset) {
+  const little = view.getUint8(offset) === 1;
+  let pos = offset + 1;
+
+  const rawType = view.getUint32(pos, little);
+  pos += 4;
+
+  // ISO WKB encodes Z / M / ZM as +1000 / +2000 / +3000, EWKB as high flag bits
+  let hasZ = (rawType & 0x80000000) !== 0;
+  let hasM = (rawType & 0x40000000) !== 0;
+  let base = rawType & 0x0fffffff;
+  if (base >= 1000) {
+    const dims = Math.floor(base / 1000);
+    base %= 1000;
+    hasZ = hasZ || dims === 1 || dims === 3;
+    hasM = hasM || dims === 2 || dims === 3;
+  }
+  if ((rawType & 0x20000000) !== 0) pos += 4; // EWKB SRID
+
+  const type = WKB_TYPES[base];
+  if (!type) throw new Error(`Unsupported WKB geometry type ${rawType}`);
+
+  const stride = 2 + (hasZ ? 1 : 0) + (hasM ? 1 : 0);
+
+  const readPoint = () => {
+    const x = view.getFloat64(pos, little);
+    const y = view.getFloat64(pos + 8, little);
+    pos += stride * 8;
+    return [x, y];
+  };
+
+  const readPoints = () => {
+    const n = view.getUint32(pos, little);
+    pos += 4;
+    const out = [];
+    for (let i = 0; i < n; i++) out.push(readPoint());
+    return out;
+  };
+
+  const readRings = () => {
+    const n = view.getUint32(pos, little);
+    pos += 4;
+    const out = [];
+    for (let i = 0; i < n; i++) out.push(readPoints());
+    return out;
+  };
+
+  const readParts = () => {
+    const n = view.getUint32(pos, little);
+    pos += 4;
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      const part = readGeometry(view, pos);
+      pos = part.end;
+      out.push(part.geometry);
+    }
+    return out;
+  };
+
+  let geometry;
+  if (type === "Point") geometry = { type, coordinates: readPoint() };
+  else if (type === "LineString") geometry = { type, coordinates: readPoints() };
+  else if (type === "Polygon") geometry = { type, coordinates: readRings() };
+  else if (type === "GeometryCollection") geometry = { type, geometries: readParts() };
+  else geometry = { type, coordinates: readParts().map((g) => g.coordinates) };
+
+  return { geometry, end: pos };
+}
+
+export function parseWkb(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return readGeometry(view, 0).geometry;
+}
+
+// Envelope sizes (bytes) by the GeoPackage header's envelope indicator
+const GPKG_ENVELOPE_BYTES = [0, 32, 48, 48, 64];
+
+// GeoPackage geometry blob: "GP" magic, version, flags, srs_id, optional envelope, then WKB
+export function parseGpkgGeometry(bytes) {
+  if (!bytes || bytes.length < 8 || bytes[0] !== 0x47 || bytes[1] !== 0x50) {
+    throw new Error("Not a GeoPackage geometry blob");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const flags = view.getUint8(3);
+  const little = (flags & 1) === 1;
+  const envelope = GPKG_ENVELOPE_BYTES[(flags >> 1) & 7] ?? 0;
+  const empty = (flags & 0x10) !== 0;
+  const srsId = view.getInt32(4, little);
+
+  if (empty) return { srsId, geometry: null };
+  return { srsId, geometry: parseWkb(bytes.subarray(8 + envelope)) };
+}
@@ -0,0 +1,30 @@
+// Saved field-mapping profiles for imported pipe datasets, kept in localStorage.
+// A profile is { name, mapping } where mapping is role -> attribute name (see FIELD_ROLES).
+
+const STORAGE_KEY = "trackMyPoo.fieldMappingProfiles";
+
+export function loadMappingProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((p) => p && p.name && p.mapping) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveMappingProfile(name, mapping) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) return loadMappingProfiles();
+
+  const list = loadMappingProfiles().filter((p) => p.name !== trimmed);
+  list.push({ name: trimmed, mapping });
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
+
+export function deleteMappingProfile(name) {
+  const list = loadMappingProfiles().filter((p) => p.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  return list;
+}
@@ -0,0 +1,100 @@
+import { concave, convex, featureCollection, point } from "@turf/turf";
+
+import { flattenFeatureCoords, metersBetween, routeDistanceMeters, toNum } from "./geo.js";
+import { orderedCoordsForPipe } from "./routing.js";
+import { sourceProperties } from "./sewerNetwork.js";
+
+// Longest edge (metres) the concave hull starts from; see catchmentPolygon
+export const CATCHMENT_MAX_EDGE_M = 500;
+
+// Every in-service pipe draining to `objectId`, found by walking up through the nodes'
+// `inObjectIds`. The pipe itself comes first; each pipe is listed once.
+export function upstreamObjectIds(byObjectId, nodeIndex, objectId) {
+  const start = toNum(objectId);
+  if (start === null || !byObjectId.has(start)) return [];
+
+  const out = [start];
+  const seen = new Set(out);
+  for (let i = 0; i < out.length; i++) {
+    const upKey = byObjectId.get(out[i]).properties?._upNodeKey;
+    for (const id of nodeIndex.get(upKey)?.inObjectIds || []) {
+      if (seen.has(id) || byObjectId.get(id)?.properties?._in_service === false) continue;
+      seen.add(id);
+      out.push(id);
+    }
+  }
+  return out;
+}
+
+// Boundary round a set of pipes: the tightest concave hull of their vertices that is in one
+// piece. Pipe networks are thin, so a hull with short edges falls apart into islands: the
+// longest edge allowed starts at maxEdgeM and doubles until the hull holds together, ending
+// at the convex hull. Null for fewer than three distinct points.
+export function catchmentPolygon(byObjectId, objectIds, maxEdgeM = CATCHMENT_MAX_EDGE_M) {
+  const seen = new Set();
+  const points = [];
+  let minLat = Infinity;
+  let minLng = Infinity;
+  let maxLat = -Infinity;
+  let maxLng = -Infinity;
+
+  for (const id of objectIds) {
+    for (const c of flattenFeatureCoords(byObjectId.get(id))) {
+      const key = `${c.lng},${c.lat}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      points.push(point([c.lng, c.lat]));
+      minLat = Math.min(minLat, c.lat);
+      minLng = Math.min(minLng, c.lng);
+      maxLat = Math.max(maxLat, c.lat);
+      maxLng = Math.max(maxLng, c.lng);
+    }
+  }
+  if (points.length < 3) return null;
+
+  const fc = featureCollection(points);
+  const spanM = metersBetween({ lat: minLat, lng: minLng }, { lat: maxLat, lng: maxLng });
+  for (let edge = maxEdgeM; edge < spanM; edge *= 2) {
+    let hull = null;
+    try {
+      hull = concave(fc, { maxEdge: edge, units: "meters" });
+    } catch {
+      hull = null;
+    }
+    if (hull?.geometry?.type === "Polygon") return hull;
+  }
+  return convex(fc);
+}
+
+// Upstream trace of a pipe: { objectId, objectIds, count, lengthM, polygon } where polygon
+// is the catchment boundary (a GeoJSON Polygon feature) or null
+export function traceUpstream(byObjectId, nodeIndex, objectId, maxEdgeM = CATCHMENT_MAX_EDGE_M) {
+  const objectIds = upstreamObjectIds(byObjectId, nodeIndex, objectId);
+  const lengthM = objectIds.reduce((a, id) => {
+    const len = toNum(byObjectId.get(id).properties?.PIPE_LENGTH);
+    return a + (len ?? routeDistanceMeters(orderedCoordsForPipe(byObjectId.get(id))));
+  }, 0);
+
+  return {
+    objectId: toNum(objectId),
+    objectIds,
+    count: objectIds.length,
+    lengthM,
+    polygon: catchmentPolygon(byObjectId, objectIds, maxEdgeM)
+  };
+}
+
+// A trace as a FeatureCollection for export: the catchment polygon (if any) carrying the
+// summary, then the upstream pipes with their source attributes
+export function catchmentGeoJson(trace, byObjectId) {
+  const summary = { kind: "catchment", outletObjectId: trace.objectId, pipeCount: trace.count, lengthM: trace.lengthM };
+  const pipes = trace.objectIds.map((id) => {
+    const ft = byObjectId.get(id);
+    return { type: "Feature", geometry: ft.geometry, properties: sourceProperties(ft.properties) };
+  });
+
+  return {
+    type: "FeatureCollection",
+    features: [...(trace.polygon ? [{ ...trace.polygon, properties: summary }] : []), ...pipes]
+  };
+}
@@ -0,0 +1,309 @@
+import { closestPointOnSegment, flattenFeatureCoords, metersBetween, toNum } from "./geo.js";
+import { sourceProperties } from "./sewerNetwork.js";
+
+// Defaults for cleanNetwork; the bundled cleaned_20m / cleaned_40m datasets use 20 and 40 m
+export const CLEAN_DEFAULTS = {
+  toleranceM: 20,
+  splitTJunctions: true,
+  removeDuplicates: true,
+  // Two pipes are duplicates when they share both ends and every vertex lies this close to the other
+  duplicateTolM: 1
+};
+
+function cellOf(pt, cellM) {
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos((pt.lat * Math.PI) / 180);
+  return { x: Math.floor((pt.lng * mPerDegLng) / cellM), y: Math.floor((pt.lat * mPerDegLat) / cellM) };
+}
+
+function distToPolyline(pt, coords) {
+  let best = Infinity;
+  for (let i = 0; i < coords.length - 1; i++) {
+    best = Math.min(best, closestPointOnSegment(coords[i], coords[i + 1], pt).dist);
+  }
+  return best;
+}
+
+function polylineLength(coords) {
+  let d = 0;
+  for (let i = 1; i < coords.length; i++) d += metersBetween(coords[i - 1], coords[i]);
+  return d;
+}
+
+function toLineFeature(props, coords) {
+  return {
+    type: "Feature",
+    properties: props,
+    geometry: { type: "LineString", coordinates: coords.map((c) => [c.lng, c.lat]) }
+  };
+}
+
+// Cuts a polyline at increasing distances along it; returns one coordinate list per piece
+function cutPolyline(coords, cutsM) {
+  const pieces = [];
+  let current = [coords[0]];
+  let walked = 0;
+  let k = 0;
+
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1];
+    const b = coords[i];
+    const segLen = metersBetween(a, b);
+
+    while (k < cutsM.length && cutsM[k] <= walked + segLen) {
+      const f = segLen > 0 ? (cutsM[k] - walked) / segLen : 0;
+      const cut = { lat: a.lat + (b.lat - a.lat) * f, lng: a.lng + (b.lng - a.lng) * f };
+      current.push(cut);
+      pieces.push(current);
+      current = [cut];
+      k += 1;
+    }
+
+    current.push(b);
+    walked += segLen;
+  }
+
+  pieces.push(current);
+  return pieces.filter((p) => p.length >= 2);
+}
+
+// Splits one pipe's attributes across pieces: lengths pro rata, inverts interpolated, a new
+// manhole ID at every cut and a fresh OBJECTID for every piece after the first.
+function splitPipeProps(props, pieceLengths, newId) {
+  const total = pieceLengths.reduce((a, b) => a + b, 0) || 1;
+  const origId = toNum(props.OBJECTID);
+  const len = toNum(props.PIPE_LENGTH);
+  const upIL = toNum(props.UPSTREAM_IL);
+  const downIL = toNum(props.DOWNSTREAM_IL);
+  const ilAt = (f) => (upIL !== null && downIL !== null ? upIL + (downIL - upIL) * f : null);
+
+  const out = [];
+  let f0 = 0;
+
+  pieceLengths.forEach((pieceLen, i) => {
+    const f1 = f0 + pieceLen / total;
+    const cutId = (j) => `${props.UNITID ?? ""}-${props.UNITID2 ?? ""}/S${j}`;
+
+    out.push({
+      ...props,
+      OBJECTID: i === 0 ? origId : newId(),
+      UNITID: i === 0 ? props.UNITID : cutId(i),
+      UNITID2: i === pieceLengths.length - 1 ? props.UNITID2 : cutId(i + 1),
+      UPSTREAM_IL: i === 0 ? props.UPSTREAM_IL : ilAt(f0),
+      DOWNSTREAM_IL: i === pieceLengths.length - 1 ? props.DOWNSTREAM_IL : ilAt(f1),
+      PIPE_LENGTH: len !== null ? Math.round(len * (pieceLen / total) * 100) / 100 : props.PIPE_LENGTH,
+      CLEAN_SPLIT_FROM: origId
+    });
+
+    f0 = f1;
+  });
+
+  return out;
+}
+
+// Cleans a pipe network:
+// 1. merges pipe endpoints lying within toleranceM of each other onto their centroid
+// 2. splits pipes where another pipe's free end touches them mid-length (T-junctions)
+// 3. removes duplicate pipes (same ends, same geometry)
+// Returns { geojson, stats }. Output features carry source attributes only.
+export function cleanNetwork(geojson, options = {}) {
+  const opts = { ...CLEAN_DEFAULTS, ...options };
+  const tol = opts.toleranceM;
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+
+  const pipes = [];
+  for (const ft of features) {
+    const coords = flattenFeatureCoords(ft);
+    if (coords.length < 2) continue;
+    pipes.push({ props: sourceProperties(ft.properties), coords: coords.map((c) => ({ ...c })), original: coords });
+  }
+
+  let maxId = 0;
+  for (const p of pipes) maxId = Math.max(maxId, toNum(p.props.OBJECTID) ?? 0);
+  const newId = () => ++maxId;
+
+  // 1) Leader clustering of endpoints on a tolerance grid. A pipe never joins both of its
+  //    own ends into one cluster, so short pipes are not collapsed.
+  const clusters = [];
+  const grid = new Map();
+
+  pipes.forEach((pipe, pi) => {
+    for (const which of ["start", "end"]) {
+      const pt = which === "start" ? pipe.coords[0] : pipe.coords[pipe.coords.length - 1];
+      const cell = cellOf(pt, tol);
+
+      let best = null;
+      let bestDist = Infinity;
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          for (const ci of grid.get(`${cell.x + dx},${cell.y + dy}`) || []) {
+            const c = clusters[ci];
+            if (c.pipes.has(pi)) continue;
+            const d = metersBetween(c.leader, pt);
+            if (d <= tol && d < bestDist) {
+              bestDist = d;
+              best = ci;
+            }
+          }
+        }
+      }
+
+      if (best === null) {
+        best = clusters.length;
+        clusters.push({ leader: { ...pt }, members: [], pipes: new Set() });
+        const key = `${cell.x},${cell.y}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(best);
+      }
+
+      clusters[best].members.push({ pi, which });
+      clusters[best].pipes.add(pi);
+    }
+  });
+
+  let endpointsMoved = 0;
+  let clustersMerged = 0;
+
+  for (const c of clusters) {
+    if (c.members.length < 2) continue;
+
+    const pts = c.members.map(({ pi, which }) => {
+      const coords = pipes[pi].coords;
+      return which === "start" ? coords[0] : coords[coords.length - 1];
+    });
+    const centre = {
+      lat: pts.reduce((a, p) => a + p.lat, 0) / pts.length,
+      lng: pts.reduce((a, p) => a + p.lng, 0) / pts.length
+    };
+
+    let moved = false;
+    for (const p of pts) {
+      if (metersBetween(p, centre) > 0.01) {
+        endpointsMoved += 1;
+        moved = true;
+      }
+      p.lat = centre.lat;
+      p.lng = centre.lng;
+    }
+    if (moved) clustersMerged += 1;
+  }
+
+  // 2) T-junctions: a free end (its cluster has one member) within tol of another pipe's interior
+  const cutsByPipe = new Map();
+  let tJunctions = 0;
+
+  if (opts.splitTJunctions) {
+    for (const c of clusters) {
+      if (c.members.length !== 1) continue;
+
+      const { pi, which } = c.members[0];
+      const own = pipes[pi].coords;
+      const end = which === "start" ? own[0] : own[own.length - 1];
+
+      let best = null;
+      for (let qi = 0; qi < pipes.length; qi++) {
+        if (qi === pi) continue;
+        const coords = pipes[qi].coords;
+
+        let walked = 0;
+        for (let i = 0; i < coords.length - 1; i++) {
+          const segLen = metersBetween(coords[i], coords[i + 1]);
+          const res = closestPointOnSegment(coords[i], coords[i + 1], end);
+          if (res.dist <= tol && (!best || res.dist < best.dist)) {
+            best = { qi, dist: res.dist, point: res.point, alongM: walked + res.t * segLen };
+          }
+          walked += segLen;
+        }
+      }
+
+      if (!best) continue;
+
+      // Only a true interior hit: ends of the other pipe are handled by endpoint merging
+      const totalLen = polylineLength(pipes[best.qi].coords);
+      if (best.alongM <= tol || best.alongM >= totalLen - tol) continue;
+
+      end.lat = best.point.lat;
+      end.lng = best.point.lng;
+      endpointsMoved += 1;
+      tJunctions += 1;
+
+      if (!cutsByPipe.has(best.qi)) cutsByPipe.set(best.qi, []);
+      cutsByPipe.get(best.qi).push(best.alongM);
+    }
+  }
+
+  // Pieces keep the geometry they had before snapping so step 3 can compare true shapes
+  let pieces = [];
+  let piecesAdded = 0;
+
+  pipes.forEach((pipe, pi) => {
+    const cuts = (cutsByPipe.get(pi) || []).sort((a, b) => a - b).filter((d, i, arr) => i === 0 || d - arr[i - 1] > 0.5);
+
+    if (cuts.length === 0) {
+      pieces.push({ feature: toLineFeature(pipe.props, pipe.coords), original: pipe.original });
+      return;
+    }
+
+    const parts = cutPolyline(pipe.coords, cuts);
+    const propsList = splitPipeProps(pipe.props, parts.map(polylineLength), newId);
+    parts.forEach((coords, i) => pieces.push({ feature: toLineFeature(propsList[i], coords), original: coords }));
+    piecesAdded += parts.length - 1;
+  });
+
+  // 3) Duplicates: same (unordered) end pair after snapping, and every original vertex within
+  //    duplicateTolM of the other line. Parallel twin mains that merely share manholes are kept.
+  let duplicatesRemoved = 0;
+
+  if (opts.removeDuplicates) {
+    const endKey = (c) => `${c[0].toFixed(7)},${c[1].toFixed(7)}`;
+    const groups = new Map();
+    const keep = [];
+
+    for (const piece of pieces) {
+      const coords = piece.feature.geometry.coordinates;
+      const a = endKey(coords[0]);
+      const b = endKey(coords[coords.length - 1]);
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+
+      const line = piece.original;
+      const group = groups.get(key) || [];
+      const dup = group.some(
+        (other) =>
+          line.every((p) => distToPolyline(p, other) <= opts.duplicateTolM) &&
+          other.every((p) => distToPolyline(p, line) <= opts.duplicateTolM)
+      );
+
+      if (dup) {
+        duplicatesRemoved += 1;
+        continue;
+      }
+
+      group.push(line);
+      groups.set(key, group);
+      keep.push(piece);
+    }
+
+    pieces = keep;
+  }
+
+  const out = pieces.map((p) => p.feature);
+
+  return {
+    geojson: {
+      type: "FeatureCollection",
+      name: `${geojson?.name || "pipes"}_cleaned_${tol}m`,
+      ...(geojson?.crs ? { crs: geojson.crs } : {}),
+      features: out
+    },
+    stats: {
+      toleranceM: tol,
+      featuresIn: pipes.length,
+      featuresOut: out.length,
+      endpointsMoved,
+      clustersMerged,
+      tJunctions,
+      piecesAdded,
+      duplicatesRemoved
+    }
+  };
+}
@@ -0,0 +1,166 @@
+import { toNum } from "./geo.js";
+import { sourceProperties } from "./sewerNetwork.js";
+
+// RFC 4180 CSV: quoted fields, doubled quotes, CRLF or LF line ends, optional BOM.
+// Returns { header, rows } with each row an object keyed by header name.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((r) => r.length > 1 || r[0] !== "");
+  const header = (nonEmpty[0] || []).map((h) => h.trim());
+  const rows = nonEmpty.slice(1).map((r) => {
+    const row = {};
+    header.forEach((h, i) => {
+      row[h] = r[i] ?? "";
+    });
+    return row;
+  });
+
+  return { header, rows };
+}
+
+// "1975/05/01 00:00:00+00" (the utility's CSV export) -> "1975-05-01T00:00:00Z" (GeoJSON export)
+const CSV_DATE_RE = /^(\d{4})[/-](\d{2})[/-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})(?:\+00(?::?00)?|Z)?$/;
+
+// Converts a CSV cell to the type the GeoJSON attributes use
+export function coerceCsvValue(raw, current) {
+  const s = String(raw ?? "").trim();
+  if (s === "") return null;
+
+  const date = CSV_DATE_RE.exec(s);
+  if (date) {
+    const [, y, mo, d, h, mi, sec] = date;
+    return `${y}-${mo}-${d}T${h}:${mi}:${sec}Z`;
+  }
+
+  if (typeof current === "string") return s;
+
+  const n = toNum(s);
+  if (n !== null && /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s)) return n;
+
+  return s;
+}
+
+function findColumn(header, name) {
+  const upper = String(name).toUpperCase();
+  return header.find((h) => h.toUpperCase() === upper) || null;
+}
+
+// Joins CSV rows onto the features by OBJECTID. Returns a new FeatureCollection (source
+// attributes only, so the network build recomputes everything) and a summary:
+// - changed:    features whose attributes differ, with before/after per field
+// - missing:    features with no CSV row
+// - unmatched:  CSV rows whose OBJECTID matches no feature
+// - duplicates: OBJECTIDs appearing on more than one CSV row (the last row wins)
+export function joinCsvByObjectId(geojson, csv, options = {}) {
+  const idColumn = findColumn(csv.header, options.idField || "OBJECTID");
+  if (!idColumn) throw new Error(`CSV has no ${options.idField || "OBJECTID"} column`);
+
+  const rowsById = new Map();
+  const duplicates = new Set();
+  const unmatched = [];
+
+  csv.rows.forEach((row, i) => {
+    const id = toNum(row[idColumn]);
+    if (id === null) {
+      unmatched.push({ line: i + 2, objectId: row[idColumn], reason: "no OBJECTID" });
+      return;
+    }
+    if (rowsById.has(id)) duplicates.add(id);
+    rowsById.set(id, { row, line: i + 2 });
+  });
+
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  const seenIds = new Set();
+  const changed = [];
+  const missing = [];
+  let unchanged = 0;
+
+  const joined = features.map((ft) => {
+    const props = sourceProperties(ft?.properties);
+    const id = toNum(props.OBJECTID);
+    const hit = id !== null ? rowsById.get(id) : null;
+
+    if (!hit) {
+      if (id !== null) missing.push(id);
+      return { type: "Feature", properties: props, geometry: ft.geometry };
+    }
+
+    seenIds.add(id);
+    const fields = [];
+
+    for (const col of csv.header) {
+      if (col === idColumn || col === "") continue;
+      const after = coerceCsvValue(hit.row[col], props[col]);
+      const before = props[col] ?? null;
+      if (after === before) continue;
+
+      fields.push({ field: col, before, after });
+      props[col] = after;
+    }
+
+    if (fields.length > 0) changed.push({ objectId: id, fields });
+    else unchanged += 1;
+
+    return { type: "Feature", properties: props, geometry: ft.geometry };
+  });
+
+  for (const [id, { line }] of rowsById.entries()) {
+    if (!seenIds.has(id)) unmatched.push({ line, objectId: id, reason: "no matching feature" });
+  }
+
+  return {
+    geojson: { ...geojson, features: joined },
+    summary: {
+      rows: csv.rows.length,
+      matched: seenIds.size,
+      unchanged,
+      changed,
+      missing,
+      unmatched,
+      duplicates: [...duplicates]
+    }
+  };
+}
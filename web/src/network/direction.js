@@ -0,0 +1,52 @@
+import { toNum } from "./geo.js";
+
+// Flow direction relative to the stored record (geometry order and UNITID -> UNITID2):
+// - "u_to_d": stored start is upstream
+// - "d_to_u": stored start is downstream
+//
+// _dir_source values:
+// - "DIR":         explicit DIR / DIRECTION attribute
+// - "IL":          invert levels confirm the stored order
+// - "IL_reversed": invert levels say the stored order is backwards, and connectivity agrees
+// - "conflict":    invert levels and neighbour connectivity disagree; stored order is kept
+// - "default":     no usable evidence (flat or missing inverts); stored order is kept
+
+// Direction implied by UPSTREAM_IL / DOWNSTREAM_IL, or null if flat or missing
+export function dirFromInverts(props) {
+  const upIL = toNum(props?.UPSTREAM_IL);
+  const downIL = toNum(props?.DOWNSTREAM_IL);
+  if (upIL === null || downIL === null || upIL === downIL) return null;
+  return upIL > downIL ? "u_to_d" : "d_to_u";
+}
+
+// Direction implied by the neighbours at each stored end. A pipe in stored order should
+// receive from pipes ending at its start node and feed pipes starting at its end node.
+// `endsAt` / `startsAt` count stored pipe ends per node key (including this pipe).
+export function dirFromConnectivity(startKey, endKey, startsAt, endsAt) {
+  const loop = startKey === endKey ? 1 : 0;
+  const inAtStart = (endsAt.get(startKey) || 0) - loop > 0;
+  const outAtEnd = (startsAt.get(endKey) || 0) - loop > 0;
+  const inAtEnd = (endsAt.get(endKey) || 0) - 1 > 0;
+  const outAtStart = (startsAt.get(startKey) || 0) - 1 > 0;
+
+  const forward = (inAtStart ? 1 : 0) + (outAtEnd ? 1 : 0);
+  const reverse = (inAtEnd ? 1 : 0) + (outAtStart ? 1 : 0);
+
+  if (forward === reverse) return null;
+  return forward > reverse ? "u_to_d" : "d_to_u";
+}
+
+// Combines invert and connectivity evidence into { dir, source, ilContradictsGeometry }
+export function resolveDirection(ilDir, connectivityDir) {
+  const ilContradictsGeometry = ilDir === "d_to_u";
+
+  if (ilDir === null) return { dir: "u_to_d", source: "default", ilContradictsGeometry };
+
+  if (connectivityDir !== null && connectivityDir !== ilDir) {
+    return { dir: "u_to_d", source: "conflict", ilContradictsGeometry };
+  }
+
+  return ilDir === "u_to_d"
+    ? { dir: "u_to_d", source: "IL", ilContradictsGeometry }
+    : { dir: "d_to_u", source: "IL_reversed", ilContradictsGeometry };
+}
@@ -0,0 +1,43 @@
+import { toNum } from "./geo.js";
+
+export const SECONDS_PER_DAY = 86400;
+
+// Hourly multipliers on base (average dry-weather) flow, from midnight. A typical residential
+// curve averaging 1: near-empty pipes at 3–4 a.m., a morning peak at 8 and a smaller evening one.
+export const DEFAULT_DIURNAL_PATTERN = [
+  0.65, 0.5, 0.35, 0.3, 0.3, 0.4, 0.8, 1.5, 1.8, 1.6, 1.35, 1.15, 1.1, 1.05, 1.05, 1.05, 1.05, 1.2, 1.3, 1.35, 1.25,
+  1.1, 1.0, 0.8
+];
+
+// Multiplier at a time of day (seconds after midnight), interpolated between the hourly
+// values and wrapping from 23:00 back to midnight
+export function diurnalMultiplier(pattern, secondsOfDay) {
+  const values = Array.isArray(pattern) && pattern.length > 0 ? pattern : DEFAULT_DIURNAL_PATTERN;
+  const sec = (((toNum(secondsOfDay) || 0) % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  const pos = (sec / SECONDS_PER_DAY) * values.length;
+  const i = Math.floor(pos);
+  const a = values[i];
+  const b = values[(i + 1) % values.length];
+  return a + (b - a) * (pos - i);
+}
+
+// Pattern from text such as "0.6, 0.5, ..." (any separators); throws unless there are
+// exactly 24 non-negative numbers
+export function parseDiurnalPattern(text) {
+  const parts = String(text || "")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  const values = parts.map(toNum);
+
+  if (values.length !== 24) throw new Error(`Expected 24 hourly multipliers, got ${values.length}`);
+  if (values.some((v) => v === null || v < 0)) throw new Error("Multipliers must be numbers ≥ 0");
+  return values;
+}
+
+// "HH:MM" for a time of day in seconds
+export function clockText(secondsOfDay) {
+  const sec = (((toNum(secondsOfDay) || 0) % SECONDS_PER_DAY) + SECONDS_PER_DAY) % SECONDS_PER_DAY;
+  const h = Math.floor(sec / 3600);
+  const m = Math.floor((sec % 3600) / 60);
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
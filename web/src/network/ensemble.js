@@ -0,0 +1,60 @@
+import { planPipeRoute } from "./routing.js";
+
+export const ENSEMBLE_DEFAULTS = {
+  runs: 200,
+  splitWeighting: "capacity",
+  bins: 12
+};
+
+// Runs `runs` traces from one start, each splitting at junctions at random with the given
+// weighting (see SPLIT_WEIGHTINGS); other route options (outOfService, nodeIndex, random,
+// strategy for single ways on) pass through to planPipeRoute. Returns
+// { startObjectId, runs, outfalls, pipeShares, arrivals, histogram } where
+// - outfalls:   [{ objectId, end, count, probability, lat, lng }] by where traces stop, likeliest first
+// - pipeShares: Map OBJECTID -> share of traces passing through the pipe
+// - arrivals:   travel times (s) of the traces that reached an end, ascending
+// - histogram:  arrivalHistogram of those times
+export function runRouteEnsemble(startObjectId, startPoint, byObjectId, options = {}) {
+  const opts = { ...ENSEMBLE_DEFAULTS, ...options };
+  const runs = Math.max(1, Math.floor(opts.runs) || 1);
+
+  const byOutfall = new Map();
+  const passes = new Map();
+  const arrivals = [];
+
+  for (let i = 0; i < runs; i++) {
+    const route = planPipeRoute(startObjectId, startPoint, byObjectId, opts);
+    const last = route.objectIds[route.objectIds.length - 1] ?? startObjectId;
+    const key = `${route.end}:${last}`;
+
+    if (!byOutfall.has(key)) {
+      const end = route.coords[route.coords.length - 1];
+      byOutfall.set(key, { objectId: last, end: route.end, count: 0, lat: end?.lat ?? null, lng: end?.lng ?? null });
+    }
+    byOutfall.get(key).count += 1;
+
+    for (const id of route.objectIds) passes.set(id, (passes.get(id) || 0) + 1);
+    if (route.end === "end") arrivals.push(route.durationS);
+  }
+
+  const outfalls = [...byOutfall.values()]
+    .map((o) => ({ ...o, probability: o.count / runs }))
+    .sort((a, b) => b.count - a.count);
+  const pipeShares = new Map([...passes.entries()].map(([id, n]) => [id, n / runs]));
+  arrivals.sort((a, b) => a - b);
+
+  return { startObjectId, runs, outfalls, pipeShares, arrivals, histogram: arrivalHistogram(arrivals, opts.bins) };
+}
+
+// Equal-width bins over a set of times (s): [{ fromS, toS, count }]; empty without times
+export function arrivalHistogram(times, bins = ENSEMBLE_DEFAULTS.bins) {
+  if (times.length === 0) return [];
+  const min = Math.min(...times);
+  const max = Math.max(...times);
+  const n = max > min ? Math.max(1, Math.floor(bins)) : 1;
+  const width = max > min ? (max - min) / n : 1;
+
+  const out = Array.from({ length: n }, (_, i) => ({ fromS: min + i * width, toS: min + (i + 1) * width, count: 0 }));
+  for (const t of times) out[Math.min(n - 1, Math.floor((t - min) / width))].count += 1;
+  return out;
+}
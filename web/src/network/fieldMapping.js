@@ -0,0 +1,87 @@
+import { toNum } from "./geo.js";
+
+// Roles the network build reads, and the canonical property each one fills.
+// Imported datasets are mapped onto these names so the rest of the code is schema-agnostic.
+export const FIELD_ROLES = [
+  { role: "id", target: "OBJECTID", label: "ID", synonyms: ["OBJECTID", "FID", "ID", "ASSET_ID", "GID", "UID"] },
+  { role: "name", target: "SEWER_NAME", label: "Name", synonyms: ["SEWER_NAME", "SEWERNAME", "NAME", "MAIN_NAME", "LINE_NAME"] },
+  { role: "material", target: "MATERIAL", label: "Material", synonyms: ["MATERIAL", "MAT", "PIPE_MATERIAL", "PIPEMAT"] },
+  { role: "width", target: "PIPE_WIDTH", label: "Width / diameter (mm)", synonyms: ["PIPE_WIDTH", "DIAMETER", "DIA", "WIDTH", "SIZE", "PIPE_DIA"] },
+  { role: "height", target: "PIPE_HEIGHT", label: "Height (mm)", synonyms: ["PIPE_HEIGHT", "HEIGHT"] },
+  { role: "shape", target: "SECTION_SHAPE", label: "Section shape", synonyms: ["SECTION_SHAPE", "SHAPE", "PIPE_SHAPE", "XSECTION"] },
+  { role: "grade", target: "GRADE", label: "Grade (m/m)", synonyms: ["GRADE", "SLOPE", "GRADIENT"] },
+  { role: "upIL", target: "UPSTREAM_IL", label: "Upstream IL", synonyms: ["UPSTREAM_IL", "US_IL", "UP_IL", "IL_US", "INVERT_US", "US_INVERT"] },
+  { role: "downIL", target: "DOWNSTREAM_IL", label: "Downstream IL", synonyms: ["DOWNSTREAM_IL", "DS_IL", "DOWN_IL", "IL_DS", "INVERT_DS", "DS_INVERT"] },
+  { role: "length", target: "PIPE_LENGTH", label: "Length (m)", synonyms: ["PIPE_LENGTH", "LENGTH", "LEN", "SHAPE_LENGTH"] },
+  { role: "direction", target: "DIR", label: "Direction", synonyms: ["DIR", "DIRECTION", "FLOW_DIR"] }
+];
+
+// Every property name used by at least one feature, in first-seen order
+export function listAttributeNames(geojson) {
+  const names = new Set();
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  for (const ft of features) {
+    for (const k of Object.keys(ft?.properties || {})) names.add(k);
+  }
+  return [...names];
+}
+
+// Best-effort role -> attribute mapping from attribute names (case-insensitive synonyms)
+export function guessFieldMapping(attributeNames) {
+  const byUpper = new Map(attributeNames.map((n) => [String(n).toUpperCase(), n]));
+  const mapping = {};
+
+  for (const { role, synonyms } of FIELD_ROLES) {
+    const hit = synonyms.find((s) => byUpper.has(s));
+    mapping[role] = hit ? byUpper.get(hit) : null;
+  }
+
+  return mapping;
+}
+
+// Keeps only the roles whose attribute exists in this dataset
+export function fitMappingToAttributes(mapping, attributeNames) {
+  const names = new Set(attributeNames);
+  const out = {};
+  for (const { role } of FIELD_ROLES) {
+    const attr = mapping?.[role];
+    out[role] = attr && names.has(attr) ? attr : null;
+  }
+  return out;
+}
+
+// Returns a new FeatureCollection of the line features with the mapped attributes copied onto
+// the canonical names (original attributes are kept). Features without a usable numeric ID
+// get a sequential one so every pipe can be looked up by OBJECTID.
+export function applyFieldMapping(geojson, mapping) {
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  const out = [];
+  const usedIds = new Set();
+  let nextId = 1;
+
+  for (const ft of features) {
+    const type = ft?.geometry?.type;
+    if (type !== "LineString" && type !== "MultiLineString") continue;
+
+    const src = ft.properties || {};
+    const props = { ...src };
+
+    for (const { role, target } of FIELD_ROLES) {
+      const attr = mapping?.[role];
+      if (attr) props[target] = src[attr] ?? null;
+      else if (role !== "id") delete props[target];
+    }
+
+    let id = mapping?.id ? toNum(src[mapping.id]) : null;
+    if (id === null || usedIds.has(id)) {
+      while (usedIds.has(nextId)) nextId += 1;
+      id = nextId;
+    }
+    usedIds.add(id);
+    props.OBJECTID = id;
+
+    out.push({ type: "Feature", properties: props, geometry: ft.geometry });
+  }
+
+  return { type: "FeatureCollection", features: out };
+}
@@ -0,0 +1,217 @@
+import { toNum } from "./geo.js";
+import { MAX_DEPTH_RATIO, MIN_DEPTH_RATIO, manningNFromMaterial, slopeFromProps } from "./hydraulics.js";
+import { sectionFlowGeometry, sectionFromProps } from "./sections.js";
+
+// Average dry-weather flow of one population equivalent (PE)
+export const LITRES_PER_PE_PER_DAY = 200;
+
+// Population equivalents of a subarea with no figure of its own
+export const DEFAULT_SUBAREA_PE = 2000;
+
+// Flow one active flush adds to the pipe it enters (L/s)
+export const FLUSH_FLOW_LPS = 1.5;
+
+// Where the local inflow of every pipe comes from:
+// - "subarea":  PE per SUBAREA, spread over the subarea's pipes by length
+// - "perMetre": a fixed L/s per metre of pipe
+// - "flushes":  FLUSH_FLOW_LPS for every active flush, at the pipe it entered
+// `multiplier` scales the base flow of the first two (e.g. the diurnal pattern, diurnal.js).
+export const FLOW_SOURCES = ["subarea", "perMetre", "flushes"];
+
+export const FLOW_DEFAULTS = {
+  source: "subarea",
+  pePerSubarea: {},
+  defaultPe: DEFAULT_SUBAREA_PE,
+  lpsPerMetre: 0.002,
+  flushObjectIds: [],
+  multiplier: 1
+};
+
+// Diversion, relief and emergency relief sewers: at a junction they only take the flow the
+// main line downstream cannot carry (see accumulateFlows)
+export const OVERFLOW_UNITTYPES = ["DIV", "REL", "ERS"];
+
+export function isOverflowPipe(props) {
+  return OVERFLOW_UNITTYPES.includes(String(props?.UNITTYPE || "").trim().toUpperCase());
+}
+
+// Utilisation (load / Q_full) bands, lowest first; the last is surcharged
+export const UTILISATION_BANDS = [
+  { max: 0.5, label: "under 50%" },
+  { max: 0.8, label: "50–80%" },
+  { max: 1, label: "80–100%" },
+  { max: Infinity, label: "surcharged" }
+];
+
+// Index into UTILISATION_BANDS, or null without a utilisation
+export function utilisationBand(utilisation) {
+  const u = toNum(utilisation);
+  return u === null ? null : UTILISATION_BANDS.findIndex((b) => u < b.max);
+}
+
+// Depth steps in the per-section flow curves behind normalDepth
+const SECTION_CURVE_POINTS = 100;
+const sectionFactorCache = new Map();
+
+function pipeLengthM(props) {
+  const len = toNum(props?.PIPE_LENGTH);
+  return len !== null && len > 0 ? len : 0;
+}
+
+// Local inflow (L/s) entering each pipe: Map OBJECTID -> L/s. Pipes not in service get none.
+export function localInflowsLps(byObjectId, loading = {}) {
+  const opts = { ...FLOW_DEFAULTS, ...loading };
+  const inflows = new Map();
+  const mult = Math.max(0, toNum(opts.multiplier) ?? 1);
+  const live = [...byObjectId.entries()].filter(([, ft]) => ft.properties?._in_service !== false);
+
+  if (opts.source === "perMetre") {
+    const rate = (toNum(opts.lpsPerMetre) || 0) * mult;
+    for (const [id, ft] of live) inflows.set(id, rate * pipeLengthM(ft.properties));
+  } else if (opts.source === "flushes") {
+    for (const raw of opts.flushObjectIds || []) {
+      const id = toNum(raw);
+      if (id === null || !byObjectId.has(id) || byObjectId.get(id).properties?._in_service === false) continue;
+      inflows.set(id, (inflows.get(id) || 0) + FLUSH_FLOW_LPS);
+    }
+  } else {
+    // A subarea's pipes share its flow by length; a subarea with no lengths shares it evenly
+    const bySubarea = new Map();
+    for (const [id, ft] of live) {
+      const sub = String(ft.properties?.SUBAREA ?? "").trim();
+      if (!bySubarea.has(sub)) bySubarea.set(sub, []);
+      bySubarea.get(sub).push({ id, len: pipeLengthM(ft.properties) });
+    }
+
+    for (const [sub, pipes] of bySubarea.entries()) {
+      const pe = toNum(opts.pePerSubarea?.[sub]) ?? toNum(opts.defaultPe) ?? 0;
+      const lps = ((pe * LITRES_PER_PE_PER_DAY) / 86400) * mult;
+      const totalLen = pipes.reduce((a, p) => a + p.len, 0);
+      for (const p of pipes) inflows.set(p.id, lps * (totalLen > 0 ? p.len / totalLen : 1 / pipes.length));
+    }
+  }
+
+  return inflows;
+}
+
+// Accumulated flow (L/s) in every pipe: its own inflow plus everything arriving through
+// `_nextObjectIds`. Where a pipe feeds several, its flow is split evenly between them,
+// except that overflow pipes (OVERFLOW_UNITTYPES) beside a main line only get what exceeds
+// the main line's capacity (`capacityLps`: Map OBJECTID -> L/s, missing = unlimited).
+// Pipes are visited upstream first; when only loops are left, one of them is released
+// with what it has so far, so flow goes once round a loop rather than forever.
+// Returns { flows, spills }: flows is Map OBJECTID -> L/s, spills is Map OBJECTID ->
+// { spillLps, reliefObjectIds } for pipes whose flow spilled into overflow pipes.
+export function accumulateFlows(byObjectId, inflows, capacityLps = new Map()) {
+  const ids = [...byObjectId.keys()];
+  const total = new Map(ids.map((id) => [id, inflows?.get(id) || 0]));
+  const nextOf = (id) => (byObjectId.get(id).properties?._nextObjectIds || []).filter((n) => byObjectId.has(n));
+
+  const waiting = new Map(ids.map((id) => [id, 0]));
+  for (const id of ids) {
+    for (const n of nextOf(id)) waiting.set(n, waiting.get(n) + 1);
+  }
+
+  const queue = ids.filter((id) => waiting.get(id) === 0);
+  const done = new Set();
+  const spills = new Map();
+  let cursor = 0;
+
+  while (done.size < ids.length) {
+    let id = queue.pop();
+    if (id === undefined) {
+      while (done.has(ids[cursor])) cursor += 1;
+      id = ids[cursor];
+    }
+    if (done.has(id)) continue;
+    done.add(id);
+
+    const next = nextOf(id);
+    const q = total.get(id);
+    const relief = next.filter((n) => isOverflowPipe(byObjectId.get(n).properties));
+    const main = next.filter((n) => !relief.includes(n));
+
+    const shareOf = new Map(next.map((n) => [n, q / next.length]));
+    if (relief.length > 0 && main.length > 0) {
+      const mainCapacity = main.reduce((a, n) => a + (capacityLps.get(n) ?? Infinity), 0);
+      const spill = Math.max(0, q - mainCapacity);
+      for (const n of main) shareOf.set(n, (q - spill) / main.length);
+      for (const n of relief) shareOf.set(n, spill / relief.length);
+      if (spill > 0) spills.set(id, { spillLps: spill, reliefObjectIds: relief });
+    }
+
+    for (const n of next) {
+      if (done.has(n)) continue;
+      total.set(n, total.get(n) + shareOf.get(n));
+      waiting.set(n, waiting.get(n) - 1);
+      if (waiting.get(n) === 0) queue.push(n);
+    }
+  }
+
+  return { flows: total, spills };
+}
+
+// Section factor A·R^(2/3) at evenly spaced depth ratios (0 to 1), per section size; many
+// pipes share a size, and Manning's flow is this times √S / n
+function sectionFactorCurve(section) {
+  const key = `${section.shape}|${section.widthM}|${section.heightM}`;
+  let curve = sectionFactorCache.get(key);
+  if (!curve) {
+    curve = [];
+    for (let i = 0; i <= SECTION_CURVE_POINTS; i++) {
+      const g = sectionFlowGeometry(section, i / SECTION_CURVE_POINTS);
+      curve.push(g.area * Math.pow(g.hydraulicRadius, 2 / 3));
+    }
+    sectionFactorCache.set(key, curve);
+  }
+  return curve;
+}
+
+// Manning flow curve of a pipe: { curve, k, peak } where flow at depth step i is
+// curve[i] × k (m³/s) and peak is the step carrying the most; null without slope or section
+function pipeFlowCurve(props) {
+  const section = sectionFromProps(props);
+  const S = slopeFromProps(props);
+  const n = toNum(props?._manning_n) ?? manningNFromMaterial(props?.MATERIAL);
+  if (!section || !(S > 0) || !(n > 0)) return null;
+
+  const curve = sectionFactorCurve(section);
+  let peak = 0;
+  for (let i = 1; i < curve.length; i++) {
+    if (curve[i] > curve[peak]) peak = i;
+  }
+  return { curve, k: Math.sqrt(S) / n, peak };
+}
+
+// Most a pipe carries in open-channel flow (L/s), or null if it can't be worked out
+export function pipeCapacityLps(props) {
+  const fc = pipeFlowCurve(props);
+  const capacity = fc ? fc.curve[fc.peak] * fc.k : 0;
+  return capacity > 0 ? capacity * 1000 : null;
+}
+
+// Normal depth for a flow: the depth ratio at which Manning's equation carries flowLps.
+// Returns { depthRatio, capacityLps, surcharged }, or null for a pipe with no usable slope
+// or section. Flow above the section's peak capacity runs full and is marked surcharged.
+export function normalDepth(props, flowLps) {
+  const fc = pipeFlowCurve(props);
+  if (!fc) return null;
+
+  const { curve, k, peak } = fc;
+  const capacity = curve[peak] * k;
+  if (!(capacity > 0)) return null;
+
+  const capacityLps = capacity * 1000;
+  const q = Math.max(0, toNum(flowLps) || 0) / 1000;
+  if (q >= capacity) return { depthRatio: MAX_DEPTH_RATIO, capacityLps, surcharged: true };
+
+  // Flow rises with depth up to the peak: find the step that brackets q and interpolate
+  let i = 0;
+  while (i < peak - 1 && curve[i + 1] * k < q) i += 1;
+  const q0 = curve[i] * k;
+  const q1 = curve[i + 1] * k;
+  const f = q1 > q0 ? (q - q0) / (q1 - q0) : 0;
+  const depthRatio = (i + Math.min(1, Math.max(0, f))) / SECTION_CURVE_POINTS;
+
+  return { depthRatio: Math.max(MIN_DEPTH_RATIO, depthRatio), capacityLps, surcharged: false };
+}
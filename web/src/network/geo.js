@@ -0,0 +1,190 @@
+// Geometry helpers shared by the network build, tracer and the React app.
+// Everything here works on plain { lat, lng } objects or GeoJSON [lng, lat] arrays
+// and has no browser dependencies, so it runs under plain Node too.
+
+const R_MERC = 6378137;
+
+export function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+export function toNum(v) {
+  const n = typeof v === "number" ? v : parseFloat(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function normaliseSewerName(v) {
+  return String(v || "")
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .replace(/[^\w\s]/g, "")
+    .trim();
+}
+
+export function metersBetween(a, b) {
+  const lat1 = (a.lat * Math.PI) / 180;
+  const lat2 = (b.lat * Math.PI) / 180;
+  const dLat = lat2 - lat1;
+  const dLng = ((b.lng - a.lng) * Math.PI) / 180;
+  const x = dLng * Math.cos((lat1 + lat2) / 2);
+  const y = dLat;
+  const R = 6371000;
+  return Math.sqrt(x * x + y * y) * R;
+}
+
+export function bearingDeg(a, b) {
+  const lat1 = (a.lat * Math.PI) / 180;
+  const lat2 = (b.lat * Math.PI) / 180;
+  const dLng = ((b.lng - a.lng) * Math.PI) / 180;
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  const brng = (Math.atan2(y, x) * 180) / Math.PI;
+  return (brng + 360) % 360;
+}
+
+export function angleDiffDeg(a, b) {
+  let d = Math.abs(a - b) % 360;
+  if (d > 180) d = 360 - d;
+  return d;
+}
+
+export function routeDistanceMeters(route) {
+  if (!Array.isArray(route) || route.length < 2) return 0;
+  let d = 0;
+  for (let i = 1; i < route.length; i++) {
+    d += metersBetween(route[i - 1], route[i]);
+  }
+  return d;
+}
+
+export function projectToXYMeters(origin, p) {
+  const lat0 = (origin.lat * Math.PI) / 180;
+  const dLat = ((p.lat - origin.lat) * Math.PI) / 180;
+  const dLng = ((p.lng - origin.lng) * Math.PI) / 180;
+  const R = 6371000;
+  return {
+    x: dLng * Math.cos(lat0) * R,
+    y: dLat * R
+  };
+}
+
+export function unprojectFromXYMeters(origin, xy) {
+  const lat0 = (origin.lat * Math.PI) / 180;
+  const R = 6371000;
+  const dLat = xy.y / R;
+  const dLng = xy.x / (Math.cos(lat0) * R);
+  return {
+    lat: origin.lat + (dLat * 180) / Math.PI,
+    lng: origin.lng + (dLng * 180) / Math.PI
+  };
+}
+
+export function closestPointOnSegment(a, b, p) {
+  // Work in a local metres-space around a (good for short segments)
+  const origin = a;
+  const A = projectToXYMeters(origin, a);
+  const B = projectToXYMeters(origin, b);
+  const P = projectToXYMeters(origin, p);
+
+  const ABx = B.x - A.x;
+  const ABy = B.y - A.y;
+
+  const APx = P.x - A.x;
+  const APy = P.y - A.y;
+
+  const ab2 = ABx * ABx + ABy * ABy;
+  const t = ab2 > 0 ? clamp((APx * ABx + APy * ABy) / ab2, 0, 1) : 0;
+
+  const Q = { x: A.x + ABx * t, y: A.y + ABy * t };
+  const qLL = unprojectFromXYMeters(origin, Q);
+
+  const dx = P.x - Q.x;
+  const dy = P.y - Q.y;
+  const dist = Math.sqrt(dx * dx + dy * dy);
+
+  return { point: qLL, dist, t };
+}
+
+export function gridKey(pt, cellMeters) {
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos((pt.lat * Math.PI) / 180);
+  const x = Math.round((pt.lng * mPerDegLng) / cellMeters);
+  const y = Math.round((pt.lat * mPerDegLat) / cellMeters);
+  return `${x},${y}`;
+}
+
+export function flattenFeatureCoords(ft) {
+  const g = ft && ft.geometry;
+  if (!g) return [];
+
+  const toLL = (c) => ({ lat: c[1], lng: c[0] });
+
+  if (g.type === "LineString") {
+    return Array.isArray(g.coordinates) ? g.coordinates.map(toLL) : [];
+  }
+
+  if (g.type === "MultiLineString") {
+    const parts = Array.isArray(g.coordinates) ? g.coordinates : [];
+    const out = [];
+    for (const part of parts) {
+      if (!Array.isArray(part) || part.length < 2) continue;
+      for (let i = 0; i < part.length; i++) {
+        const ll = toLL(part[i]);
+        const last = out[out.length - 1];
+        if (last && metersBetween(last, ll) < 0.01) continue;
+        out.push(ll);
+      }
+    }
+    return out;
+  }
+
+  return [];
+}
+
+// Calls fn(coords, partIndex) for every line part of a LineString / MultiLineString feature
+export function forEachLinePart(ft, fn) {
+  const g = ft?.geometry;
+  if (!g) return;
+
+  if (g.type === "LineString") {
+    fn(g.coordinates || [], 0);
+  } else if (g.type === "MultiLineString") {
+    const lines = g.coordinates || [];
+    for (let li = 0; li < lines.length; li++) fn(lines[li] || [], li);
+  }
+}
+
+// Geometry endpoints in file order ([lng, lat] arrays), or null if the feature has none
+export function featureEndpoints(ft) {
+  const g = ft?.geometry;
+  if (!g) return null;
+
+  if (g.type === "LineString") {
+    const coords = g.coordinates || [];
+    if (coords.length >= 2) return { start: coords[0], end: coords[coords.length - 1] };
+  } else if (g.type === "MultiLineString") {
+    const lines = g.coordinates || [];
+    if (lines.length > 0) {
+      const first = lines[0] || [];
+      const last = lines[lines.length - 1] || [];
+      if (first.length >= 1 && last.length >= 1) return { start: first[0], end: last[last.length - 1] };
+    }
+  }
+
+  return null;
+}
+
+export function mercatorMetersFromLngLat(lng, lat) {
+  const x = (R_MERC * lng * Math.PI) / 180;
+  const latClamped = clamp(lat, -85.05112878, 85.05112878);
+  const y = R_MERC * Math.log(Math.tan(Math.PI / 4 + (latClamped * Math.PI) / 360));
+  return { x, y };
+}
+
+export function nodeKeyFromLngLat(lng, lat, tolM) {
+  const m = mercatorMetersFromLngLat(lng, lat);
+  const kx = Math.round(m.x / tolM);
+  const ky = Math.round(m.y / tolM);
+  return `${kx}_${ky}`;
+}
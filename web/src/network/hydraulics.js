@@ -0,0 +1,198 @@
+import { clamp, toNum } from "./geo.js";
+import { sectionFlowGeometry, sectionFromProps } from "./sections.js";
+
+// Flow depth / pipe height used when nothing else is known
+export const DEFAULT_DEPTH_RATIO = 0.5;
+
+// Depth ratios are kept inside this range: an empty pipe has no velocity, so the floor is
+// just above zero. The ceiling is a full bore, which surcharged, siphon and rising main pipes
+// run at; partly full flow peaks at about 0.94 of the height, above which it drops again.
+export const MIN_DEPTH_RATIO = 0.01;
+export const MAX_DEPTH_RATIO = 1;
+
+// Inverted siphons dip under an obstacle and rise again, so they run full under pressure and
+// their GRADE and inverts say nothing about flow. Their velocity is the flow over the full
+// bore; until flows are known they are assumed to run at their design (self-cleansing) velocity.
+export const SIPHON_UNITTYPES = ["SIPHON"];
+export const SIPHON_DESIGN_VELOCITY_MPS = 1;
+
+export function isSiphon(props) {
+  return SIPHON_UNITTYPES.includes(String(props?.UNITTYPE || "").trim().toUpperCase());
+}
+
+// Manning's n per MATERIAL code, matched exactly (after trimming and upper-casing). A code
+// with a class suffix ("PVC SN8") falls back to its first word. Composite codes name the
+// host pipe first and the lining second; the lining sets the roughness.
+export const DEFAULT_ROUGHNESS = {
+  UPVC: 0.009,
+  PVC: 0.009,
+  ABS: 0.009,
+  HDPE: 0.009,
+  "HDPE-L": 0.009,
+  VC: 0.011,
+  AC: 0.011,
+  GRP: 0.01,
+  GPR: 0.01,
+  FRP: 0.01,
+  GRC: 0.012,
+  RIBLOCK: 0.01,
+  RC: 0.013,
+  RCP: 0.013,
+  CONC: 0.013,
+  CONCPL: 0.01,
+  "CON/RL": 0.011,
+  CI: 0.013,
+  CICL: 0.012,
+  DI: 0.012,
+  DICL: 0.011,
+  MS: 0.012,
+  MSCL: 0.012,
+  BWK: 0.015,
+  CONBWK: 0.014,
+  BSTONE: 0.017,
+  "BK/GRC": 0.012,
+  "BK/INS": 0.011,
+  "BK/FRP": 0.01
+};
+
+// n used for a material the table doesn't know
+export const FALLBACK_MANNING_N = 0.013;
+
+// Optional deterioration with age: n grows by nPerDecade for every ten years since
+// DATE_OF_CONSTRUCTION, or since DATE_RELINED for a relined pipe, up to maxIncrease.
+// Ages are taken at asOfYear (null: the current year).
+export const ROUGHNESS_DEFAULTS = {
+  table: DEFAULT_ROUGHNESS,
+  ageing: false,
+  nPerDecade: 0.0005,
+  maxIncrease: 0.004,
+  asOfYear: null
+};
+
+export function materialCode(materialRaw) {
+  return String(materialRaw ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, " ");
+}
+
+// n for a material from the table, or null if it isn't listed
+export function lookupManningN(materialRaw, table = DEFAULT_ROUGHNESS) {
+  const code = materialCode(materialRaw);
+  const n = toNum(table?.[code]) ?? toNum(table?.[code.split(" ")[0]]);
+  return n !== null && n > 0 ? n : null;
+}
+
+export function manningNFromMaterial(materialRaw, table = DEFAULT_ROUGHNESS) {
+  return lookupManningN(materialRaw, table) ?? FALLBACK_MANNING_N;
+}
+
+// Material codes of the features that the table doesn't list: [{ code, count }], commonest first
+export function unmatchedMaterials(features, table = DEFAULT_ROUGHNESS) {
+  const counts = new Map();
+  for (const ft of features || []) {
+    const material = ft?.properties?.MATERIAL;
+    if (lookupManningN(material, table) !== null) continue;
+    const code = materialCode(material) || "(blank)";
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  return [...counts.entries()].map(([code, count]) => ({ code, count })).sort((a, b) => b.count - a.count);
+}
+
+function yearOf(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const t = Date.parse(String(value));
+  return Number.isFinite(t) ? new Date(t).getUTCFullYear() : null;
+}
+
+// Years since the pipe was built, or last relined; null without a usable date
+export function pipeAgeYears(props, asOfYear = null) {
+  const since = yearOf(props?.DATE_RELINED) ?? yearOf(props?.DATE_OF_CONSTRUCTION);
+  if (since === null) return null;
+  const now = toNum(asOfYear) ?? new Date().getUTCFullYear();
+  return Math.max(0, now - since);
+}
+
+// Roughness of one pipe under the settings (see ROUGHNESS_DEFAULTS):
+// { n, baseN, matched, ageYears } where baseN is the table's (or fallback) n before ageing
+export function pipeRoughness(props, roughness = {}) {
+  const opts = { ...ROUGHNESS_DEFAULTS, ...roughness };
+  const listed = lookupManningN(props?.MATERIAL, opts.table);
+  const baseN = listed ?? FALLBACK_MANNING_N;
+  const ageYears = pipeAgeYears(props, opts.asOfYear);
+
+  let n = baseN;
+  if (opts.ageing && ageYears !== null) {
+    const increase = (ageYears / 10) * (toNum(opts.nPerDecade) || 0);
+    n += clamp(increase, 0, Math.max(0, toNum(opts.maxIncrease) ?? Infinity));
+  }
+
+  return { n, baseN, matched: listed !== null, ageYears };
+}
+
+// Slope from GRADE, else from the invert levels over PIPE_LENGTH; null if neither is usable
+export function slopeFromProps(props) {
+  const grade = toNum(props?.GRADE);
+  const upIL = toNum(props?.UPSTREAM_IL);
+  const downIL = toNum(props?.DOWNSTREAM_IL);
+  const len = toNum(props?.PIPE_LENGTH);
+
+  if (grade !== null) return Math.abs(grade);
+  if (upIL !== null && downIL !== null && len !== null && len > 0) return Math.abs((upIL - downIL) / len);
+  return null;
+}
+
+export function manningVelocity(n, hydraulicRadius, slope) {
+  if (!(n > 0) || !(hydraulicRadius > 0) || !(slope > 0)) return 0;
+  const v = (1 / n) * Math.pow(hydraulicRadius, 2 / 3) * Math.sqrt(slope);
+  return Number.isFinite(v) ? v : 0;
+}
+
+// Manning velocity at a depth ratio (of the section height), with the geometry behind it:
+// { n, S, shape, depthRatio, area, wettedPerimeter, R, v }. See sections.js for shapes.
+// n is the pipe's `_manning_n` (see pipeRoughness) if set, else the default table's.
+export function computeVelocityAtDepth(props, depthRatio = DEFAULT_DEPTH_RATIO) {
+  const n = toNum(props?._manning_n) ?? manningNFromMaterial(props?.MATERIAL);
+  const S = slopeFromProps(props);
+  const ratio = clamp(toNum(depthRatio) ?? DEFAULT_DEPTH_RATIO, MIN_DEPTH_RATIO, MAX_DEPTH_RATIO);
+  const section = sectionFromProps(props);
+  const geom = section ? sectionFlowGeometry(section, ratio) : null;
+
+  const out = {
+    n,
+    S: S || 0,
+    shape: section ? section.shape : null,
+    depthRatio: ratio,
+    area: geom ? geom.area : 0,
+    wettedPerimeter: geom ? geom.wettedPerimeter : 0,
+    R: geom ? geom.hydraulicRadius : 0,
+    v: 0
+  };
+
+  if (S === null || !Number.isFinite(S) || S <= 0 || !geom) return out;
+
+  out.v = manningVelocity(n, geom.hydraulicRadius, S);
+  return out;
+}
+
+// Gravity velocity half full; a siphon never runs half full, so it gets no slope or velocity
+export function computeHalfFullVelocityMps(props) {
+  const { n, S, v } = computeVelocityAtDepth(props, 0.5);
+  return isSiphon(props) ? { n, S: null, v: null } : { n, S, v };
+}
+
+// Full-bore capacity Q_full (L/s): Manning flow running just full, from the same n, slope
+// and section as the half-full velocity. Null for siphons and pipes without a slope.
+export function computeFullBoreCapacityLps(props) {
+  if (isSiphon(props)) return null;
+  const hv = computeVelocityAtDepth(props, 1);
+  return hv.v > 0 ? hv.area * hv.v * 1000 : null;
+}
+
+// Velocity of a flow (L/s) through a pipe running full under pressure
+export function fullBoreVelocityMps(props, flowLps) {
+  const section = sectionFromProps(props);
+  const area = section ? sectionFlowGeometry(section, 1).area : 0;
+  const q = Math.max(0, toNum(flowLps) || 0) / 1000;
+  return area > 0 ? q / area : 0;
+}
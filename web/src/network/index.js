@@ -0,0 +1,20 @@
+// Headless sewer network: everything here runs in the browser and under plain Node.
+export * from "./catchment.js";
+export * from "./cleaning.js";
+export * from "./csvJoin.js";
+export * from "./direction.js";
+export * from "./diurnal.js";
+export * from "./ensemble.js";
+export * from "./fieldMapping.js";
+export * from "./flow.js";
+export * from "./geo.js";
+export * from "./hydraulics.js";
+export * from "./pumps.js";
+export * from "./routing.js";
+export * from "./search.js";
+export * from "./sediment.js";
+export * from "./sections.js";
+export * from "./sewerNetwork.js";
+export * from "./spatialIndex.js";
+export * from "./topology.js";
+export * from "./validate.js";
@@ -0,0 +1,114 @@
+import { toNum } from "./geo.js";
+import { sectionFlowGeometry, sectionFromProps } from "./sections.js";
+
+// Unit types of rising mains: pressurised pipes fed by a pump station
+export const RISING_MAIN_UNITTYPES = ["RM", "EO-RM"];
+
+// Design velocity of a rising main at the pump rate; the pump rate follows from it
+export const PUMPED_VELOCITY_MPS = 1.2;
+
+// Operating volume of a wet well, between the pump-off and pump-on levels
+export const WET_WELL_VOLUME_M3 = 2;
+
+// Inflow assumed when no flows have been set (see setFlowLoads), so an unloaded station
+// still cycles
+export const IDLE_INFLOW_LPS = 1;
+
+export function isRisingMain(props) {
+  return RISING_MAIN_UNITTYPES.includes(String(props?.UNITTYPE || "").trim().toUpperCase());
+}
+
+function fullBoreAreaM2(props) {
+  const section = sectionFromProps(props);
+  return section ? sectionFlowGeometry(section, 1).area : 0;
+}
+
+// Pump stations sit at nodes where gravity sewers end and a rising main starts. Each one is
+// { id, nodeKey, lat, lng, inletObjectIds, risingMainObjectIds, pumpRateLps, wetWellM3 }.
+// Every rising main reached from a station is annotated in place with `_pump_station` and
+// `_pressure_v_mps` (the station's pump rate over the main's full bore); a rising main no
+// station feeds runs at PUMPED_VELOCITY_MPS.
+export function detectPumpStations(nodeIndex, byObjectId) {
+  const stations = [];
+
+  for (const ft of byObjectId.values()) {
+    if (isRisingMain(ft.properties)) ft.properties._pressure_v_mps = PUMPED_VELOCITY_MPS;
+  }
+
+  for (const node of nodeIndex.values()) {
+    const inletObjectIds = node.inObjectIds.filter((id) => {
+      const p = byObjectId.get(id)?.properties;
+      return p && !isRisingMain(p) && p._in_service !== false;
+    });
+    const risingMainObjectIds = node.outObjectIds.filter((id) => isRisingMain(byObjectId.get(id)?.properties));
+    if (inletObjectIds.length === 0 || risingMainObjectIds.length === 0) continue;
+
+    const firstArea = fullBoreAreaM2(byObjectId.get(risingMainObjectIds[0]).properties);
+    const pumpRate = firstArea > 0 ? firstArea * PUMPED_VELOCITY_MPS : 0;
+    const id = `PS-${stations.length + 1}`;
+
+    // Follow the rising mains downstream until they discharge into a gravity sewer
+    const queue = risingMainObjectIds.slice();
+    const seen = new Set();
+    while (queue.length > 0) {
+      const rmId = queue.shift();
+      if (seen.has(rmId)) continue;
+      seen.add(rmId);
+
+      const p = byObjectId.get(rmId).properties;
+      const area = fullBoreAreaM2(p);
+      p._pump_station = id;
+      p._pressure_v_mps = area > 0 && pumpRate > 0 ? pumpRate / area : PUMPED_VELOCITY_MPS;
+
+      for (const next of p._nextObjectIds || []) {
+        if (isRisingMain(byObjectId.get(next)?.properties)) queue.push(next);
+      }
+    }
+
+    stations.push({
+      id,
+      nodeKey: node.key,
+      lat: node.lat,
+      lng: node.lng,
+      inletObjectIds,
+      risingMainObjectIds,
+      pumpRateLps: pumpRate * 1000,
+      wetWellM3: WET_WELL_VOLUME_M3
+    });
+  }
+
+  return stations;
+}
+
+// Flow arriving at a station (L/s): the accumulated flow of its inlet sewers
+export function stationInflowLps(station, byObjectId) {
+  let q = 0;
+  for (const id of station.inletObjectIds) q += toNum(byObjectId.get(id)?.properties?._flow_lps) || 0;
+  return q > 0 ? q : IDLE_INFLOW_LPS;
+}
+
+// Wet well cycle at a simulation time (seconds): the well fills from the pump-off to the
+// pump-on level, then the pump empties it against the inflow. Returns { phase, level,
+// fillS, pumpS, cycleS, secondsToChange } where phase is "filling", "pumping" or
+// "continuous" (inflow at or above the pump rate) and level runs 0 (off) to 1 (on).
+export function pumpCycleState(station, inflowLps, simSeconds) {
+  const qIn = Math.max(0, toNum(inflowLps) || 0) / 1000;
+  const qPump = station.pumpRateLps / 1000;
+
+  if (!(qPump > qIn) || !(station.wetWellM3 > 0)) {
+    return { phase: "continuous", level: 1, fillS: 0, pumpS: Infinity, cycleS: Infinity, secondsToChange: Infinity };
+  }
+  if (!(qIn > 0)) {
+    return { phase: "filling", level: 0, fillS: Infinity, pumpS: 0, cycleS: Infinity, secondsToChange: Infinity };
+  }
+
+  const fillS = station.wetWellM3 / qIn;
+  const pumpS = station.wetWellM3 / (qPump - qIn);
+  const cycleS = fillS + pumpS;
+  const t = (((toNum(simSeconds) || 0) % cycleS) + cycleS) % cycleS;
+
+  if (t < fillS) {
+    return { phase: "filling", level: t / fillS, fillS, pumpS, cycleS, secondsToChange: fillS - t };
+  }
+  return { phase: "pumping", level: 1 - (t - fillS) / pumpS, fillS, pumpS, cycleS, secondsToChange: cycleS - t };
+}
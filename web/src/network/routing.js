@@ -0,0 +1,522 @@
+import {
+  angleDiffDeg,
+  bearingDeg,
+  clamp,
+  flattenFeatureCoords,
+  gridKey,
+  metersBetween,
+  normaliseSewerName,
+  routeDistanceMeters,
+  toNum
+} from "./geo.js";
+import { isOverflowPipe } from "./flow.js";
+import { isSiphon, slopeFromProps } from "./hydraulics.js";
+
+// Junction rules and the downstream tracer. All of these work on the `byObjectId`
+// map produced by buildNetworkIndex (see sewerNetwork.js).
+
+function dbgName(p) {
+  const v = p?.SEWER_NAME ?? p?.SEWERNAME ?? "";
+  return String(v).trim();
+}
+
+// Downstream invert used to compare candidates. A siphon's outlet can sit above its inlet,
+// so it is compared on its lowest invert instead of being ranked as an uphill pipe.
+function downILForChoice(p) {
+  const d = toNum(p?.DOWNSTREAM_IL);
+  if (!isSiphon(p)) return d;
+  const u = toNum(p?.UPSTREAM_IL);
+  return u !== null && d !== null ? Math.min(u, d) : d ?? u;
+}
+
+export function chooseNextPipeLowestDownIL(nextIds, byObjectId, currentProps) {
+  if (!Array.isArray(nextIds) || nextIds.length === 0) return null;
+
+  const currentName = normaliseSewerName(currentProps?.SEWER_NAME || currentProps?.SEWERNAME);
+
+  // Prefer candidates with the same sewer/main name (helps across pump stations)
+  let candidateIds = nextIds;
+  if (currentName) {
+    const sameName = nextIds.filter((id) => {
+      const ft = byObjectId.get(id);
+      const p = ft?.properties || {};
+      const nm = normaliseSewerName(p.SEWER_NAME || p.SEWERNAME);
+      return nm && nm === currentName;
+    });
+    if (sameName.length > 0) candidateIds = sameName;
+  }
+
+  // 1) Prefer lowest downstream IL if available
+  let bestId = null;
+  let bestDown = Infinity;
+
+  for (const id of candidateIds) {
+    const ft = byObjectId.get(id);
+    const p = ft?.properties || {};
+    const d = downILForChoice(p);
+
+    if (d !== null && d < bestDown) {
+      bestDown = d;
+      bestId = id;
+    }
+  }
+
+  if (bestId !== null) return bestId;
+
+  // 2) If no ILs, prefer segment candidate if present and in list
+  const segCand = currentProps?._segment_candidate_objectid;
+  if (segCand && candidateIds.includes(segCand)) return segCand;
+
+  // 3) Otherwise, prefer longest pipe length
+  let bestLenId = null;
+  let bestLen = -Infinity;
+
+  for (const id of candidateIds) {
+    const ft = byObjectId.get(id);
+    const p = ft?.properties || {};
+    const len = toNum(p.PIPE_LENGTH);
+
+    if (len !== null && len > bestLen) {
+      bestLen = len;
+      bestLenId = id;
+    }
+  }
+
+  if (bestLenId !== null) return bestLenId;
+
+  return candidateIds[0] ?? null;
+}
+
+export function chooseNextPipeWithLookahead(candidateIds, byObjectId, currProps, currId, prevId, visited) {
+  const ids0 = Array.isArray(candidateIds) ? candidateIds : [];
+  if (ids0.length === 0) return null;
+
+  // Prefer not to bounce straight back to the immediately-previous pipe
+  const idsNoPrev = ids0.filter((id) => id !== prevId);
+
+  // Prefer unvisited candidates if any exist (but don't hard-fail if all are visited)
+  const idsBase = idsNoPrev.length > 0 ? idsNoPrev : ids0;
+  const idsUnvisited = idsBase.filter((id) => !visited.has(id));
+  const ids = idsUnvisited.length > 0 ? idsUnvisited : idsBase;
+
+  if (ids.length === 1) return ids[0];
+
+  return chooseBestByLookahead(ids, byObjectId, currProps, currId, prevId, visited);
+}
+
+export function chooseBestByLookahead(ids, byObjectId, currProps, currId, prevId, visited) {
+  if (ids.length === 1) return ids[0];
+
+  let bestId = null;
+  let bestScore = Infinity;
+
+  for (const id of ids) {
+    const score = lookaheadScore(id, byObjectId, currProps, currId, prevId, visited, 10);
+    if (score < bestScore) {
+      bestScore = score;
+      bestId = id;
+    }
+  }
+
+  // Fallback if something weird happens
+  if (bestId === null) bestId = chooseNextPipeLowestDownIL(ids, byObjectId, currProps);
+  return bestId;
+}
+
+// Lower score is better
+export function lookaheadScore(startId, byObjectId, currProps, currId, prevId, visited, depth) {
+  let total = 0;
+
+  let hops = 0;
+  let id = startId;
+  let prev = currId;
+
+  // Local cycle detection independent of global visited
+  const local = new Set([currId, prevId]);
+
+  let lastDown = toNum(currProps?.DOWNSTREAM_IL);
+
+  while (id != null && hops < depth) {
+    if (visited.has(id)) {
+      total += 50; // avoid re-entering already-traced path
+      break;
+    }
+    if (local.has(id)) {
+      total += 200; // local cycle
+      break;
+    }
+    local.add(id);
+
+    const ft = byObjectId.get(id);
+    if (!ft) {
+      total += 100;
+      break;
+    }
+
+    const p = ft.properties || {};
+    const d = downILForChoice(p);
+
+    // We do NOT enforce "downhill" here because pump stations can legitimately go uphill.
+    // Only apply a tiny preference for pipes that have IL data (more deterministic).
+    if (d === null) total += 2;
+
+    lastDown = d !== null ? d : lastDown;
+
+    const nextIds = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
+    const stepIds = nextIds.filter((x) => x !== prev);
+    const stepId = stepIds.length > 0 ? chooseNextPipeLowestDownIL(stepIds, byObjectId, p) : null;
+
+    prev = id;
+    id = stepId;
+    hops += 1;
+  }
+
+  // Prefer paths that can continue (avoid dead-ends)
+  total += (depth - hops) * 20;
+
+  return total;
+}
+
+export function orderedCoordsForPipe(ft) {
+  const p = ft?.properties || {};
+  const dir = String(p._dir || "u_to_d");
+  const coords = flattenFeatureCoords(ft);
+  return dir === "d_to_u" ? coords.slice().reverse() : coords;
+}
+
+export function chooseNextPipeByBearing(nextIds, byObjectId, currOrderedCoords, prevId, visited) {
+  const ids0 = Array.isArray(nextIds) ? nextIds : [];
+  const ids1 = ids0.filter((id) => id !== prevId && !visited.has(id));
+  const ids = ids1.length > 0 ? ids1 : ids0.filter((id) => id !== prevId);
+
+  if (ids.length === 0) return null;
+  if (ids.length === 1) return ids[0];
+
+  if (!currOrderedCoords || currOrderedCoords.length < 2) {
+    return ids.slice().sort((a, b) => a - b)[0] ?? null;
+  }
+
+  const n = currOrderedCoords.length;
+  const a = currOrderedCoords[Math.max(0, n - 2)];
+  const b = currOrderedCoords[n - 1];
+  const currBrng = bearingDeg(a, b);
+
+  let bestId = null;
+  let bestDelta = Infinity;
+
+  for (const id of ids) {
+    const ft = byObjectId.get(id);
+    if (!ft) continue;
+    const ord = orderedCoordsForPipe(ft);
+    if (ord.length < 2) continue;
+
+    const candBrng = bearingDeg(ord[0], ord[1]);
+    const delta = angleDiffDeg(currBrng, candBrng);
+    if (delta < bestDelta) {
+      bestDelta = delta;
+      bestId = id;
+    }
+  }
+
+  return bestId !== null ? bestId : (ids.slice().sort((a, b) => a - b)[0] ?? null);
+}
+
+// Junction rules planPipeRoute can follow:
+// - "bearing":   the way on that turns least (chooseNextPipeByBearing)
+// - "lowestIL":  the lowest downstream invert, same sewer name first (chooseNextPipeLowestDownIL)
+// - "lookahead": the way that stays traceable longest (chooseNextPipeWithLookahead)
+// - "sameName":  stay on the same sewer name, then the way that turns least
+export const ROUTE_STRATEGIES = ["bearing", "lowestIL", "lookahead", "sameName"];
+
+// The way on from the current pipe under a strategy. Each rule avoids turning straight
+// back and prefers pipes not yet visited.
+function chooseNextPipe(strategy, nextIds, byObjectId, currentId, prevId, ord, visited) {
+  const props = byObjectId.get(currentId)?.properties;
+  const fresh = nextIds.filter((id) => id !== prevId && !visited.has(id));
+  const ids = fresh.length > 0 ? fresh : nextIds.filter((id) => id !== prevId);
+
+  if (strategy === "lowestIL") return chooseNextPipeLowestDownIL(ids, byObjectId, props);
+  if (strategy === "lookahead") return chooseNextPipeWithLookahead(nextIds, byObjectId, props, currentId, prevId, visited);
+  if (strategy === "sameName") {
+    const name = normaliseSewerName(props?.SEWER_NAME || props?.SEWERNAME);
+    const same = ids.filter((id) => {
+      const p = byObjectId.get(id)?.properties;
+      return name && normaliseSewerName(p?.SEWER_NAME || p?.SEWERNAME) === name;
+    });
+    if (same.length > 0) return chooseNextPipeByBearing(same, byObjectId, ord, prevId, visited);
+  }
+  return chooseNextPipeByBearing(nextIds, byObjectId, ord, prevId, visited);
+}
+
+// How a split junction shares travellers out when `splitWeighting` is set (see planPipeRoute):
+// - "capacity": by each way on's full-bore capacity (`_q_full_lps`)
+// - "grade":    by each way on's slope
+// - "uniform":  evenly
+export const SPLIT_WEIGHTINGS = ["capacity", "grade", "uniform"];
+
+function splitWeight(props, weighting) {
+  if (weighting === "capacity") return toNum(props?._q_full_lps) || 0;
+  if (weighting === "grade") return slopeFromProps(props) || 0;
+  return 1;
+}
+
+// A random way on, each picked with probability in proportion to its weight; evenly if
+// none of them has one
+function chooseNextPipeWeighted(ids, byObjectId, weighting, random) {
+  const weights = ids.map((id) => splitWeight(byObjectId.get(id)?.properties, weighting));
+  const total = weights.reduce((a, w) => a + w, 0);
+  if (!(total > 0)) return ids[Math.floor(random() * ids.length)] ?? null;
+
+  let r = random() * total;
+  for (let i = 0; i < ids.length; i++) {
+    r -= weights[i];
+    if (r < 0) return ids[i];
+  }
+  return ids[ids.length - 1];
+}
+
+// Travellers never stall or race: pipe velocities are clamped to this range for travel
+export const TRAVEL_SPEED_MIN_MPS = 0.2;
+export const TRAVEL_SPEED_MAX_MPS = 3.0;
+
+// Speed a traveller moves through a pipe at: the pipe's current velocity (`_v_mps`), clamped
+export function travelSpeedMps(props) {
+  return clamp(toNum(props?._v_mps) || 0, TRAVEL_SPEED_MIN_MPS, TRAVEL_SPEED_MAX_MPS);
+}
+
+// One leg per pipe of a route: { objectId, coords, lengthM, velocityMps, startM, entryS }.
+// `firstIdx[i]` is where pipe i's points start in `plan`; each leg after the first also
+// starts at the junction it enters by, so the legs join up. startM and entryS are the
+// distance and travel time (at travelSpeedMps when planned) from the start of the route.
+function routeLegs(plan, objectIds, firstIdx, byObjectId) {
+  const legs = [];
+  let startM = 0;
+  let entryS = 0;
+
+  objectIds.forEach((objectId, i) => {
+    const props = byObjectId.get(objectId)?.properties;
+    const coords = plan.slice(Math.max(0, firstIdx[i] - 1), i + 1 < objectIds.length ? firstIdx[i + 1] : plan.length);
+    const lengthM = routeDistanceMeters(coords);
+
+    legs.push({ objectId, coords, lengthM, velocityMps: toNum(props?._v_mps), startM, entryS });
+    startM += lengthM;
+    entryS += lengthM / travelSpeedMps(props);
+  });
+
+  return { legs, durationS: entryS };
+}
+
+// Unit types of relief sewers, which take flow when the main line is out of service
+export const RELIEF_UNITTYPES = ["REL", "ERS"];
+
+// How far from a blocked junction a relief sewer may start and still take the flow
+export const RELIEF_SEARCH_M = 30;
+
+function isReliefPipe(props) {
+  return RELIEF_UNITTYPES.includes(String(props?.UNITTYPE || "").toUpperCase());
+}
+
+// Relief pipes starting within radiusM of `pointLL`, excluding blocked and visited ones
+function findReliefNear(nodeIndex, byObjectId, pointLL, radiusM, isBlocked, visited) {
+  if (!nodeIndex) return [];
+
+  const out = [];
+  for (const node of nodeIndex.values()) {
+    if (metersBetween(pointLL, { lat: node.lat, lng: node.lng }) > radiusM) continue;
+    for (const id of node.outObjectIds) {
+      const p = byObjectId.get(id)?.properties;
+      if (p && p._in_service !== false && isReliefPipe(p) && !isBlocked(id) && !visited.has(id)) out.push(id);
+    }
+  }
+  return out;
+}
+
+// Traces downstream from a pipe. Options:
+// - outOfService: Set of OBJECTIDs taken out of service (what-if blockages / works)
+// - nodeIndex:    lets a blocked trace look for relief sewers near the blockage
+// - random:       source of randomness for spills (default Math.random)
+// - strategy:     junction rule, one of ROUTE_STRATEGIES (default "bearing")
+// - splitWeighting: one of SPLIT_WEIGHTINGS to pick the way on at random instead, weighted
+// - debug:        log each hop as [PIPEHOP] (off by default)
+// Once flows are set (setFlowLoads), a junction beside diversion / relief pipes sends the
+// trace into them with the share of the flow that spills there (`_spill_share`), and
+// otherwise keeps it on the main line.
+// Returns { coords, objectIds, legs, durationS, end, blockedObjectIds, reliefObjectIds, spills }
+// where `end` is "end" (no pipe further downstream) or "blocked" (every way on is out of
+// service), spills lists { fromObjectId, toObjectId } where the trace followed an overflow,
+// legs split coords by pipe (see routeLegs) and durationS is the travel time to the end.
+export function planPipeRoute(startObjectId, startPoint, byObjectId, options = {}) {
+  // DIR-first traversal:
+  // - Each pipe has an explicit DIR (u_to_d / d_to_u). We treat this as authoritative.
+  // - Connectivity is: current pipe FLOW-END node -> next pipe FLOW-START node.
+  // - `_nextObjectIds` is built from endpoint snapping + flow-start matching (plus a small fallback).
+  const maxHops = options.maxHops ?? 2000;
+  const outOfService = options.outOfService || null;
+  const random = options.random || Math.random;
+  const strategy = ROUTE_STRATEGIES.includes(options.strategy) ? options.strategy : "bearing";
+  const splitWeighting = SPLIT_WEIGHTINGS.includes(options.splitWeighting) ? options.splitWeighting : null;
+  const isBlocked = (id) => (outOfService ? outOfService.has(id) : false);
+
+  const plan = [];
+  const objectIds = [];
+  const firstIdx = [];
+  const reliefObjectIds = [];
+  const spills = [];
+  let blockedObjectIds = [];
+  let end = "end";
+  const visited = new Set();
+  const visitedCells = new Set();
+
+  let currentId = startObjectId;
+  let prevId = null;
+  let first = true;
+
+  if (isBlocked(startObjectId)) {
+    return {
+      coords: startPoint ? [{ lng: startPoint.lng, lat: startPoint.lat }] : [],
+      objectIds: [],
+      legs: [],
+      durationS: 0,
+      end: "blocked",
+      blockedObjectIds: [startObjectId],
+      reliefObjectIds,
+      spills
+    };
+  }
+
+  while (currentId !== null && currentId !== undefined && !visited.has(currentId) && visited.size < maxHops) {
+    const ft = byObjectId.get(currentId);
+    if (!ft) break;
+
+    visited.add(currentId);
+    objectIds.push(currentId);
+    firstIdx.push(plan.length);
+
+    const ord = orderedCoordsForPipe(ft);
+    if (ord.length < 2) break;
+
+    if (first && startPoint) {
+      plan.push({ lng: startPoint.lng, lat: startPoint.lat });
+
+      let nearestIdx = 0;
+      let bestDist = Infinity;
+      for (let i = 0; i < ord.length; i++) {
+        const d = metersBetween(startPoint, ord[i]);
+        if (d < bestDist) {
+          bestDist = d;
+          nearestIdx = i;
+        }
+      }
+
+      for (let i = nearestIdx; i < ord.length; i++) {
+        const k = gridKey(ord[i], 5);
+        if (visitedCells.has(k)) continue;
+        visitedCells.add(k);
+        plan.push(ord[i]);
+      }
+
+      first = false;
+    } else {
+      const last = plan[plan.length - 1];
+      for (let i = 0; i < ord.length; i++) {
+        const pt = ord[i];
+        if (last && metersBetween(last, pt) < 0.2) continue;
+        const k = gridKey(pt, 5);
+        if (visitedCells.has(k)) continue;
+        visitedCells.add(k);
+        plan.push(pt);
+      }
+    }
+
+    const p = ft.properties || {};
+    const allNextIds = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
+    let nextIds = allNextIds.filter((id) => !isBlocked(id));
+    const blockedHere = allNextIds.filter(isBlocked);
+
+    // Everything downstream is out of service: surcharge into a nearby relief sewer if any
+    if (nextIds.length === 0 && blockedHere.length > 0) {
+      nextIds = findReliefNear(options.nodeIndex, byObjectId, ord[ord.length - 1], RELIEF_SEARCH_M, isBlocked, visited);
+      if (nextIds.length === 0) {
+        end = "blocked";
+        blockedObjectIds = blockedHere;
+      }
+    }
+
+    // Overflow pipes beside a main line only take the spilled share of the flow
+    const spillShare = toNum(p._spill_share);
+    const overflowIds = nextIds.filter((id) => isOverflowPipe(byObjectId.get(id)?.properties));
+    let spilled = false;
+    if (spillShare !== null && overflowIds.length > 0 && overflowIds.length < nextIds.length) {
+      spilled = spillShare > 0 && random() < spillShare;
+      nextIds = spilled ? overflowIds : nextIds.filter((id) => !overflowIds.includes(id));
+    }
+
+    // A weighted split only picks among ways on not yet visited, so it can't go round a loop
+    const splitIds = splitWeighting ? nextIds.filter((id) => id !== prevId && !visited.has(id)) : [];
+    const nextId =
+      splitIds.length > 1
+        ? chooseNextPipeWeighted(splitIds, byObjectId, splitWeighting, random)
+        : nextIds.length > 0
+          ? chooseNextPipe(strategy, nextIds, byObjectId, currentId, prevId, ord, visited)
+          : null;
+    if (spilled && nextId !== null) spills.push({ fromObjectId: currentId, toObjectId: nextId });
+    if (nextId !== null && blockedHere.length > 0 && isReliefPipe(byObjectId.get(nextId)?.properties)) {
+      reliefObjectIds.push(nextId);
+    }
+
+    if (options.debug && visited.size < 120) {
+      console.log(
+        "[PIPEHOP] " +
+          currentId +
+          " -> " +
+          nextId +
+          ' | name="' +
+          dbgName(p) +
+          '" | candidates=[' +
+          allNextIds.join(", ") +
+          "]" +
+          (blockedHere.length > 0 ? " | blocked=[" + blockedHere.join(", ") + "]" : "")
+      );
+    }
+
+    prevId = currentId;
+    currentId = nextId;
+  }
+
+  const { legs, durationS } = routeLegs(plan, objectIds, firstIdx, byObjectId);
+  return { coords: plan, objectIds, legs, durationS, end, blockedObjectIds, reliefObjectIds, spills };
+}
+
+// Routes from the same start under different strategies ({ [strategy]: route }), set
+// against the `reference` one: [{ strategy, pipes, lengthM, durationS, end, sharedPipes,
+// divergesAt }] where sharedPipes counts the pipes it shares with the reference before
+// leaving it, and divergesAt is the junction it leaves by ({ objectId, lat, lng }, objectId
+// being the last shared pipe), or null if it never does
+export function compareRoutes(routes, reference) {
+  const ref = routes[reference]?.objectIds || [];
+
+  return Object.entries(routes).map(([strategy, route]) => {
+    const ids = route.objectIds;
+    let shared = 0;
+    while (shared < ids.length && shared < ref.length && ids[shared] === ref[shared]) shared += 1;
+
+    const same = shared === ids.length && shared === ref.length;
+    const junction = shared > 0 ? route.legs[shared - 1].coords.at(-1) : route.coords[0];
+
+    return {
+      strategy,
+      pipes: ids.length,
+      lengthM: route.legs.reduce((a, leg) => a + leg.lengthM, 0),
+      durationS: route.durationS,
+      end: route.end,
+      sharedPipes: shared,
+      divergesAt:
+        same || !junction ? null : { objectId: shared > 0 ? ids[shared - 1] : null, lat: junction.lat, lng: junction.lng }
+    };
+  });
+}
+
+// Flat [{ lat, lng }] path of planPipeRoute
+export function buildPipePlanFromObjectId(startObjectId, startPoint, byObjectId, maxHops = 2000) {
+  return planPipeRoute(startObjectId, startPoint, byObjectId, { maxHops }).coords;
+}
@@ -0,0 +1,244 @@
+import { closestPointOnSegment, flattenFeatureCoords, metersBetween, normaliseSewerName, toNum } from "./geo.js";
+import { nearestSegment } from "./spatialIndex.js";
+
+// Nearest-pipe / nearest-node lookups. The pipe lookups take an optional segment index
+// (buildSegmentIndex, built by createSewerNetwork) and fall back to a linear scan without one.
+
+function hitFromSegment(hit) {
+  return hit ? { objectId: hit.objectId, dist: hit.dist } : null;
+}
+
+export function findNearestPipeContact(geojson, start, segmentIndex) {
+  if (segmentIndex) return nearestSegment(segmentIndex, start);
+
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+  let best = null;
+
+  for (const ft of features) {
+    const g = ft?.geometry;
+    if (!g) continue;
+
+    const considerLineString = (coords, linePartIndex) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = { lng: coords[i][0], lat: coords[i][1] };
+        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
+        const res = closestPointOnSegment(a, b, start);
+        if (!best || res.dist < best.dist) {
+          best = {
+            dist: res.dist,
+            point: res.point,
+            feature: ft,
+            partIndex: linePartIndex,
+            segIndex: i,
+            segA: a,
+            segB: b
+          };
+        }
+      }
+    };
+
+    if (g.type === "LineString") {
+      considerLineString(g.coordinates || [], 0);
+    } else if (g.type === "MultiLineString") {
+      const lines = g.coordinates || [];
+      for (let li = 0; li < lines.length; li++) {
+        considerLineString(lines[li] || [], li);
+      }
+    }
+  }
+
+  return best;
+}
+
+export function findNearestNodeKeyWithinMeters(nodeIndex, fromKey, maxMeters) {
+  const from = nodeIndex.get(fromKey);
+  if (!from) return null;
+
+  const fromLL = { lat: from.lat, lng: from.lng };
+
+  let bestKey = null;
+  let bestDist = Infinity;
+
+  for (const [key, node] of nodeIndex.entries()) {
+    if (key === fromKey) continue;
+    if (!node || typeof node.lat !== "number" || typeof node.lng !== "number") continue;
+
+    // Only consider nodes that have at least one outgoing pipe
+    if (!Array.isArray(node.outObjectIds) || node.outObjectIds.length === 0) continue;
+
+    const d = metersBetween(fromLL, { lat: node.lat, lng: node.lng });
+    if (d <= maxMeters && d < bestDist) {
+      bestDist = d;
+      bestKey = key;
+    }
+  }
+
+  return bestKey;
+}
+
+export function findNearestPipeObjectIdToPointWithinMeters(geojson, pointLL, excludeObjectId, maxMeters, segmentIndex) {
+  if (segmentIndex) {
+    return hitFromSegment(
+      nearestSegment(segmentIndex, pointLL, {
+        maxMeters,
+        filter: (seg) => seg.objectId !== null && !(excludeObjectId !== null && seg.objectId === excludeObjectId)
+      })
+    );
+  }
+
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+
+  let bestObjectId = null;
+  let bestDist = Infinity;
+
+  for (const ft of features) {
+    const props = ft?.properties || {};
+    const oid = toNum(props.OBJECTID);
+
+    if (oid === null) continue;
+    if (excludeObjectId !== null && oid === excludeObjectId) continue;
+
+    const g = ft?.geometry;
+    if (!g) continue;
+
+    const considerLineString = (coords) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = { lng: coords[i][0], lat: coords[i][1] };
+        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
+        const res = closestPointOnSegment(a, b, pointLL);
+        if (res.dist < bestDist) {
+          bestDist = res.dist;
+          bestObjectId = oid;
+        }
+      }
+    };
+
+    if (g.type === "LineString") {
+      considerLineString(g.coordinates || []);
+    } else if (g.type === "MultiLineString") {
+      const lines = g.coordinates || [];
+      for (const line of lines) considerLineString(line || []);
+    }
+  }
+
+  if (bestObjectId !== null && bestDist <= maxMeters) return { objectId: bestObjectId, dist: bestDist };
+  return null;
+}
+
+export function findNearestPipeObjectIdBySewerNameWithinMeters(
+  geojson,
+  pointLL,
+  sewerNameRaw,
+  excludeObjectId,
+  maxMeters,
+  segmentIndex
+) {
+  const targetName = normaliseSewerName(sewerNameRaw);
+  if (!targetName) return null;
+
+  if (segmentIndex) {
+    return hitFromSegment(
+      nearestSegment(segmentIndex, pointLL, {
+        maxMeters,
+        filter: (seg) => {
+          if (seg.objectId === null || (excludeObjectId !== null && seg.objectId === excludeObjectId)) return false;
+          const props = seg.feature?.properties || {};
+          return normaliseSewerName(props.SEWER_NAME || props.SEWERNAME) === targetName;
+        }
+      })
+    );
+  }
+
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+
+  let bestObjectId = null;
+  let bestDist = Infinity;
+
+  for (const ft of features) {
+    const props = ft?.properties || {};
+    const nm = normaliseSewerName(props.SEWER_NAME || props.SEWERNAME);
+    if (!nm || nm !== targetName) continue;
+
+    const oid = toNum(props.OBJECTID);
+    if (oid === null) continue;
+    if (excludeObjectId !== null && oid === excludeObjectId) continue;
+
+    const g = ft?.geometry;
+    if (!g) continue;
+
+    const considerLineString = (coords) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = { lng: coords[i][0], lat: coords[i][1] };
+        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
+        const res = closestPointOnSegment(a, b, pointLL);
+        if (res.dist < bestDist) {
+          bestDist = res.dist;
+          bestObjectId = oid;
+        }
+      }
+    };
+
+    if (g.type === "LineString") {
+      considerLineString(g.coordinates || []);
+    } else if (g.type === "MultiLineString") {
+      const lines = g.coordinates || [];
+      for (const line of lines) considerLineString(line || []);
+    }
+  }
+
+  if (bestObjectId !== null && bestDist <= maxMeters) return { objectId: bestObjectId, dist: bestDist };
+  return null;
+}
+
+export function findNearestObjectIdBySewerNameFromByObjectId(
+  byObjectId,
+  pointLL,
+  sewerNameRaw,
+  excludeIds,
+  maxMeters,
+  segmentIndex
+) {
+  const target = String(sewerNameRaw || "").trim();
+  if (!target) return null;
+
+  if (segmentIndex) {
+    return hitFromSegment(
+      nearestSegment(segmentIndex, pointLL, {
+        maxMeters,
+        filter: (seg) => {
+          if (!byObjectId.has(seg.objectId) || (excludeIds && excludeIds.has(seg.objectId))) return false;
+          const p = seg.feature?.properties || {};
+          return String(p.SEWER_NAME || p.SEWERNAME || "").trim() === target;
+        }
+      })
+    );
+  }
+
+  let bestId = null;
+  let bestDist = Infinity;
+
+  for (const [id, ft] of byObjectId.entries()) {
+    if (excludeIds && excludeIds.has(id)) continue;
+
+    const p = ft?.properties || {};
+    const nm = String(p.SEWER_NAME || p.SEWERNAME || "").trim();
+    if (!nm || nm !== target) continue;
+
+    const coords = flattenFeatureCoords(ft);
+    if (!coords || coords.length < 2) continue;
+
+    // distance to polyline (segment-by-segment)
+    for (let i = 0; i < coords.length - 1; i++) {
+      const a = coords[i];
+      const b = coords[i + 1];
+      const res = closestPointOnSegment(a, b, pointLL);
+      if (res.dist < bestDist) {
+        bestDist = res.dist;
+        bestId = id;
+      }
+    }
+  }
+
+  if (bestId !== null && bestDist <= maxMeters) return { objectId: bestId, dist: bestDist };
+  return null;
+}
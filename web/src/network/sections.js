@@ -0,0 +1,129 @@
+import { clamp, toNum } from "./geo.js";
+
+// Cross-section shapes. Every shape is described by its half-width at a height above the
+// invert, on a unit section (width and height 1), so area and wetted perimeter at any depth
+// come from the same integration. Circles use the closed form.
+export const SECTION_SHAPES = ["circular", "egg", "horseshoe", "rectangular"];
+
+// Slices used when integrating non-circular sections
+const SECTION_SLICES = 200;
+
+// Material families that decide the shape of a pipe with both a width and a height.
+// Old brick sewers (and the GRP / GRC / FRP liners put inside them) are egg-shaped when
+// they are about 2:3, otherwise horseshoe. Other materials with two dimensions are boxes.
+const BRICK_MATERIAL_TOKENS = ["BWK", "BRICK", "BK", "BSTONE", "BLK"];
+const LINER_MATERIAL_TOKENS = ["GRP", "GRC", "FRP", "INS"];
+
+// Standard egg (width : height = 2 : 3) on a unit section: top semicircle of radius W/2,
+// sides of radius 1.5W and an invert of radius W/4. z is in units of the height.
+function eggHalfWidth(z) {
+  const y = z * 1.5; // back to a section of width 1
+  if (y < 0.1) return Math.sqrt(Math.max(0, 0.0625 - (y - 0.25) ** 2));
+  if (y <= 1) return -1 + Math.sqrt(Math.max(0, 2.25 - (y - 1) ** 2));
+  return Math.sqrt(Math.max(0, 0.25 - (y - 1) ** 2));
+}
+
+// Standard horseshoe (width = height) on a unit section: top semicircle of radius W/2,
+// sides of radius W centred on the opposite springing and an invert of radius W.
+function horseshoeHalfWidth(z) {
+  if (z >= 0.5) return Math.sqrt(Math.max(0, 0.25 - (z - 0.5) ** 2));
+  const side = -0.5 + Math.sqrt(Math.max(0, 1 - (z - 0.5) ** 2));
+  const invert = Math.sqrt(Math.max(0, 1 - (z - 1) ** 2));
+  return Math.min(side, invert);
+}
+
+const HALF_WIDTH = {
+  egg: eggHalfWidth,
+  horseshoe: horseshoeHalfWidth,
+  rectangular: () => 0.5
+};
+
+function hasToken(material, tokens) {
+  return material.split(/[^A-Z]+/).some((part) => tokens.includes(part));
+}
+
+export function isSectionShape(v) {
+  return SECTION_SHAPES.includes(String(v || "").trim().toLowerCase());
+}
+
+// Section of a pipe: { shape, widthM, heightM, inferred }. A SECTION_SHAPE attribute (set
+// by an import mapping or a CSV join) wins; otherwise the shape is inferred:
+// - no height (or 0):         circular, diameter PIPE_WIDTH
+// - brick or lined brick:     egg when the dimensions are about 2:3 (the larger one is the
+//                             height, whichever field it is in), otherwise horseshoe
+// - width = height:           circular
+// - anything else:            rectangular
+export function sectionFromProps(props) {
+  const w = (toNum(props?.PIPE_WIDTH) || 0) / 1000;
+  const h = (toNum(props?.PIPE_HEIGHT) || 0) / 1000;
+  if (!(w > 0)) return null;
+
+  const given = String(props?.SECTION_SHAPE || "").trim().toLowerCase();
+  if (isSectionShape(given)) {
+    if (given === "circular") return { shape: "circular", widthM: w, heightM: w, inferred: false };
+    // With only a width, use the standard proportions (egg 2:3, others 1:1)
+    const heightM = h > 0 ? h : given === "egg" ? w * 1.5 : w;
+    return { shape: given, widthM: w, heightM, inferred: false };
+  }
+
+  if (!(h > 0)) return { shape: "circular", widthM: w, heightM: w, inferred: true };
+
+  const material = String(props?.MATERIAL || "").toUpperCase();
+  const ratio = Math.max(w, h) / Math.min(w, h);
+
+  if (hasToken(material, BRICK_MATERIAL_TOKENS) || hasToken(material, LINER_MATERIAL_TOKENS)) {
+    if (ratio >= 1.3 && ratio <= 1.7) {
+      return { shape: "egg", widthM: Math.min(w, h), heightM: Math.max(w, h), inferred: true };
+    }
+    return { shape: "horseshoe", widthM: w, heightM: h, inferred: true };
+  }
+
+  if (ratio < 1.05) return { shape: "circular", widthM: w, heightM: w, inferred: true };
+  return { shape: "rectangular", widthM: w, heightM: h, inferred: true };
+}
+
+function circularGeometry(diameterM, depthRatio) {
+  const theta = 2 * Math.acos(1 - 2 * depthRatio);
+  const area = ((diameterM * diameterM) / 8) * (theta - Math.sin(theta));
+  const wettedPerimeter = (diameterM * theta) / 2;
+  const topWidth = diameterM * Math.sin(theta / 2);
+  return { area, wettedPerimeter, topWidth };
+}
+
+// Integrates a half-width profile up to depthRatio, scaled to widthM × heightM
+function profileGeometry(halfWidth, widthM, heightM, depthRatio) {
+  const steps = Math.max(1, Math.ceil(SECTION_SLICES * depthRatio));
+  const dz = depthRatio / steps;
+
+  let area = 0;
+  // A flat invert (the rectangle) is wetted across its whole width
+  let wettedPerimeter = 2 * halfWidth(0) * widthM;
+  let prevX = halfWidth(0) * widthM;
+
+  for (let i = 0; i < steps; i++) {
+    const z0 = i * dz;
+    const z1 = z0 + dz;
+    area += 2 * halfWidth((z0 + z1) / 2) * widthM * dz * heightM;
+
+    const x = halfWidth(z1) * widthM;
+    wettedPerimeter += 2 * Math.hypot(x - prevX, dz * heightM);
+    prevX = x;
+  }
+
+  // A full section is also wetted across its roof
+  if (depthRatio >= 1) wettedPerimeter += 2 * halfWidth(1) * widthM;
+
+  return { area, wettedPerimeter, topWidth: depthRatio >= 1 ? 0 : 2 * prevX };
+}
+
+// Wetted area (m²), wetted perimeter (m), hydraulic radius (m) and surface width (m) of a
+// section flowing at depth y = depthRatio × height
+export function sectionFlowGeometry(section, depthRatio) {
+  const r = clamp(toNum(depthRatio) ?? 0, 0, 1);
+  const geom =
+    section.shape === "circular"
+      ? circularGeometry(section.widthM, r)
+      : profileGeometry(HALF_WIDTH[section.shape], section.widthM, section.heightM, r);
+
+  return { ...geom, hydraulicRadius: geom.wettedPerimeter > 0 ? geom.area / geom.wettedPerimeter : 0 };
+}
@@ -0,0 +1,53 @@
+import { toNum } from "./geo.js";
+import { slopeFromProps } from "./hydraulics.js";
+import { sectionFromProps } from "./sections.js";
+
+// Velocity a sewer needs now and then to scour its own deposits
+export const SELF_CLEANSING_VELOCITY_MPS = 0.6;
+
+// Which velocity a pipe is judged on:
+// - "halfFull": the Manning velocity running half full (`_v_half_mps`)
+// - "current":  the velocity travellers use (`_v_mps`), e.g. at the normal depth from flow
+// Pressurised pipes are judged on their pressure velocity under both.
+export const SEDIMENT_VELOCITY_BASES = ["halfFull", "current"];
+
+export const SEDIMENT_DEFAULTS = {
+  thresholdMps: SELF_CLEANSING_VELOCITY_MPS,
+  basis: "halfFull"
+};
+
+function judgedVelocity(props, basis) {
+  const pressureV = toNum(props._pressure_v_mps);
+  if (pressureV !== null) return pressureV;
+  // Without a slope the velocity is unknown rather than zero
+  if (slopeFromProps(props) === null) return null;
+  return toNum(basis === "current" ? props._v_mps : props._v_half_mps);
+}
+
+// In-service pipes whose velocity falls below the self-cleansing threshold (see
+// SEDIMENT_DEFAULTS for `settings`): [{ objectId, name, material, vMps, lengthM, diameterMm }],
+// longest first and then largest, as deposits in those take the most jetting
+export function sedimentRiskPipes(byObjectId, settings = {}) {
+  const opts = { ...SEDIMENT_DEFAULTS, ...settings };
+  const threshold = toNum(opts.thresholdMps) ?? SELF_CLEANSING_VELOCITY_MPS;
+  const rows = [];
+
+  for (const [objectId, ft] of byObjectId.entries()) {
+    const p = ft.properties;
+    if (p._in_service === false) continue;
+    const v = judgedVelocity(p, opts.basis);
+    if (v === null || v >= threshold) continue;
+
+    const section = sectionFromProps(p);
+    rows.push({
+      objectId,
+      name: p.SEWER_NAME ?? "",
+      material: p.MATERIAL ?? "",
+      vMps: v,
+      lengthM: toNum(p.PIPE_LENGTH),
+      diameterMm: section ? Math.round(section.heightM * 1000) : null
+    });
+  }
+
+  return rows.sort((a, b) => (b.lengthM ?? 0) - (a.lengthM ?? 0) || (b.diameterMm ?? 0) - (a.diameterMm ?? 0));
+}
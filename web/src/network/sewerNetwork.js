@@ -0,0 +1,494 @@
+import { featureEndpoints, forEachLinePart, nodeKeyFromLngLat, normaliseSewerName, toNum } from "./geo.js";
+import { dirFromConnectivity, dirFromInverts, resolveDirection } from "./direction.js";
+import { runRouteEnsemble } from "./ensemble.js";
+import { accumulateFlows, localInflowsLps, normalDepth, pipeCapacityLps } from "./flow.js";
+import {
+  DEFAULT_DEPTH_RATIO,
+  MAX_DEPTH_RATIO,
+  SIPHON_DESIGN_VELOCITY_MPS,
+  computeFullBoreCapacityLps,
+  computeHalfFullVelocityMps,
+  computeVelocityAtDepth,
+  fullBoreVelocityMps,
+  isSiphon,
+  pipeRoughness
+} from "./hydraulics.js";
+import { detectPumpStations, isRisingMain, pumpCycleState, stationInflowLps } from "./pumps.js";
+import { buildPipePlanFromObjectId, planPipeRoute } from "./routing.js";
+import { findNearestPipeContact } from "./search.js";
+import { buildSegmentIndex, pipesWithinMeters } from "./spatialIndex.js";
+
+// Snap tolerance (metres) when determining pipe connectivity by endpoints
+export const NODE_SNAP_TOL_M = 8;
+
+// SERVICE_STATUS values of pipes that carry flow. Other statuses (e.g. WIP) are left out
+// of `_nextObjectIds`; pipes without a status are assumed to be in service.
+export const IN_SERVICE_STATUSES = ["IN"];
+
+export function isPipeInService(props) {
+  const status = props?.SERVICE_STATUS;
+  if (status === null || status === undefined || String(status).trim() === "") return true;
+  return IN_SERVICE_STATUSES.includes(String(status).trim().toUpperCase());
+}
+
+// How pipes are joined into nodes:
+// - "snap":    endpoints falling in the same NODE_SNAP_TOL_M grid cell share a node
+// - "manhole": pipes naming the same manhole in UNITID (upstream) / UNITID2 (downstream) share a node
+export const TOPOLOGY_MODES = ["snap", "manhole"];
+
+function manholeId(v) {
+  const s = String(v ?? "").trim().toUpperCase();
+  return s || null;
+}
+
+// Upstream / downstream manhole IDs of a pipe, in flow order.
+// UNITID / UNITID2 are recorded in stored order, so a d_to_u pipe swaps them.
+export function manholeIdsFromProps(props, dir = "u_to_d") {
+  const a = manholeId(props?.UNITID);
+  const b = manholeId(props?.UNITID2);
+  return dir === "d_to_u" ? { up: b, down: a } : { up: a, down: b };
+}
+
+// Node keys for a pipe's flow endpoints under the given topology mode.
+// Manhole mode falls back to snapping for a missing UNITID / UNITID2.
+export function pipeNodeKeys(props, flowStart, flowEnd, topology = "snap", snapTolM = NODE_SNAP_TOL_M, dir = "u_to_d") {
+  const snapUp = nodeKeyFromLngLat(flowStart.lng, flowStart.lat, snapTolM);
+  const snapDown = nodeKeyFromLngLat(flowEnd.lng, flowEnd.lat, snapTolM);
+  if (topology !== "manhole") return { upKey: snapUp, downKey: snapDown };
+
+  const mh = manholeIdsFromProps(props, dir);
+  return {
+    upKey: mh.up ? `MH:${mh.up}` : snapUp,
+    downKey: mh.down ? `MH:${mh.down}` : snapDown
+  };
+}
+
+// Flow-ordered endpoints of a feature given its direction, or null
+export function flowEndpoints(ft, dir) {
+  const ends = featureEndpoints(ft);
+  if (!ends) return null;
+
+  const a = { lng: ends.start[0], lat: ends.start[1] };
+  const b = { lng: ends.end[0], lat: ends.end[1] };
+
+  // Flow endpoints derived strictly from DIR:
+  // u_to_d: flowStart = geomStart, flowEnd = geomEnd
+  // d_to_u: flowStart = geomEnd,   flowEnd = geomStart
+  return dir === "d_to_u" ? { flowStart: b, flowEnd: a } : { flowStart: a, flowEnd: b };
+}
+
+// Source attributes only: the `_` fields are derived and recomputed by buildNetworkIndex
+export function sourceProperties(props) {
+  const out = {};
+  for (const [k, v] of Object.entries(props || {})) {
+    if (!k.startsWith("_")) out[k] = v;
+  }
+  return out;
+}
+
+export function parseDirFromProps(props) {
+  const raw =
+    props?.DIR ??
+    props?.Dir ??
+    props?.dir ??
+    props?.DIRECTION ??
+    props?.Direction ??
+    props?.direction ??
+    null;
+
+  if (raw === null || raw === undefined) return null;
+
+  const v = String(raw).trim().toLowerCase();
+
+  if (v === "u_to_d" || v === "u-to-d" || v === "u to d" || v === "u2d" || v === "uto_d") return "u_to_d";
+  if (v === "d_to_u" || v === "d-to-u" || v === "d to u" || v === "d2u" || v === "dto_u") return "d_to_u";
+
+  return null;
+}
+
+// Sets the velocity a traveller uses (_v_mps) and the flow geometry behind it. Pressurised
+// pipes (`_pressure_v_mps`, e.g. rising mains) run full at that velocity whatever the depth.
+export function applyFlowDepth(props, depthRatio) {
+  const pressureV = toNum(props._pressure_v_mps);
+  const hv = computeVelocityAtDepth(props, pressureV !== null ? MAX_DEPTH_RATIO : depthRatio);
+  props._section_shape = hv.shape;
+  props._depth_ratio = hv.depthRatio;
+  props._flow_area_m2 = hv.area;
+  props._wetted_perimeter_m = hv.wettedPerimeter;
+  props._hydraulic_radius_m = hv.R;
+  props._v_mps = pressureV ?? hv.v;
+}
+
+// Depth ratio for one pipe: a per-pipe entry ({ [OBJECTID]: ratio }) wins over the global one
+export function depthRatioFor(objectId, settings = {}) {
+  const own = objectId !== null ? toNum(settings.perPipe?.[objectId]) : null;
+  return own ?? toNum(settings.depthRatio) ?? DEFAULT_DEPTH_RATIO;
+}
+
+// Re-applies depth ratios to an indexed network in place (no re-indexing needed).
+// With `fromFlow`, pipes run at the normal depth from setFlowLoads instead of the global
+// ratio; a per-pipe entry still wins, and a pipe with no normal depth keeps the global one.
+export function setFlowDepths(byObjectId, settings = {}) {
+  for (const [id, ft] of byObjectId.entries()) {
+    const props = ft.properties;
+    const own = toNum(settings.perPipe?.[id]);
+    const fromFlow = settings.fromFlow && own === null ? toNum(props._normal_depth_ratio) : null;
+    applyFlowDepth(props, fromFlow ?? depthRatioFor(id, settings));
+  }
+}
+
+// Sets a pipe's Manning's n (see pipeRoughness for `roughness`) and what follows from it
+// without flow: `_manning_n`, `_manning_n_base`, `_material_matched`, `_age_years`, the
+// half-full velocity and the full-bore capacity
+export function applyRoughness(props, roughness = {}) {
+  const r = pipeRoughness(props, roughness);
+  props._manning_n = r.n;
+  props._manning_n_base = r.baseN;
+  props._material_matched = r.matched;
+  props._age_years = r.ageYears;
+
+  const hv = computeHalfFullVelocityMps(props);
+  props._slope_S = hv.S;
+  props._v_half_mps = hv.v;
+  props._q_full_lps = computeFullBoreCapacityLps(props);
+}
+
+// Re-applies roughness to an indexed network in place, keeping each pipe's depth ratio.
+// Capacities and normal depths change with n, so flows need setFlowLoads again.
+export function setPipeRoughness(byObjectId, roughness = {}) {
+  for (const ft of byObjectId.values()) {
+    applyRoughness(ft.properties, roughness);
+    applyFlowDepth(ft.properties, ft.properties._depth_ratio);
+  }
+}
+
+// Annotates every pipe with the flow it carries (see flow.js for `loading`): its own inflow,
+// the accumulated flow, the section's capacity and the normal depth for that flow.
+// Pressurised pipes get no normal depth and are never marked surcharged; siphons run full
+// at the velocity of the flow they carry.
+// Gravity pipes with a full-bore capacity also get `_utilisation` (flow / `_q_full_lps`).
+// Where a main line can't take a pipe's flow, the rest spills into the diversion / relief
+// pipes beside it: the pipe gets `_spill_lps` and `_spill_share` (of its flow), and the
+// spills are returned as overflow events
+// [{ objectId, spillLps, share, reliefObjectIds, kind, lat, lng }] at the pipe's downstream end.
+export function setFlowLoads(byObjectId, loading = {}) {
+  const capacities = new Map();
+  for (const [id, ft] of byObjectId.entries()) {
+    const cap = toNum(ft.properties._pressure_v_mps) === null ? pipeCapacityLps(ft.properties) : null;
+    if (cap !== null) capacities.set(id, cap);
+  }
+
+  const inflows = localInflowsLps(byObjectId, loading);
+  const { flows, spills } = accumulateFlows(byObjectId, inflows, capacities);
+  const overflows = [];
+
+  for (const [id, ft] of byObjectId.entries()) {
+    const props = ft.properties;
+    const q = flows.get(id) || 0;
+    const nd = toNum(props._pressure_v_mps) === null ? normalDepth(props, q) : null;
+    const spill = spills.get(id);
+
+    props._inflow_lps = inflows.get(id) || 0;
+    props._flow_lps = q;
+    props._capacity_lps = nd ? nd.capacityLps : null;
+    props._normal_depth_ratio = nd ? nd.depthRatio : null;
+    props._surcharged = nd ? nd.surcharged : false;
+    props._utilisation = props._q_full_lps > 0 && props._pressure_v_mps === undefined ? q / props._q_full_lps : null;
+    props._spill_lps = spill ? spill.spillLps : 0;
+    props._spill_share = spill && q > 0 ? spill.spillLps / q : 0;
+
+    if (spill) {
+      const end = flowEndpoints(ft, props._dir)?.flowEnd;
+      const types = spill.reliefObjectIds.map((r) => String(byObjectId.get(r)?.properties?.UNITTYPE || "").toUpperCase());
+      overflows.push({
+        objectId: id,
+        spillLps: spill.spillLps,
+        share: props._spill_share,
+        reliefObjectIds: spill.reliefObjectIds,
+        kind: types.includes("ERS") ? "emergency relief" : types.includes("REL") ? "relief" : "diversion",
+        lat: end?.lat ?? null,
+        lng: end?.lng ?? null
+      });
+    }
+
+    // A siphon with no flow reaching it keeps its design velocity rather than stalling
+    if (isSiphon(props)) {
+      props._pressure_v_mps = q > 0 ? fullBoreVelocityMps(props, q) : SIPHON_DESIGN_VELOCITY_MPS;
+      applyFlowDepth(props, MAX_DEPTH_RATIO);
+    }
+  }
+
+  return overflows;
+}
+
+// Annotates every feature in place (velocity, direction, node keys, _nextObjectIds) and
+// returns the lookup structures the tracer needs. Only plain objects, arrays and Maps
+// are produced, so the result survives structured cloning (e.g. postMessage from a worker);
+// that includes the segment R-tree, so a worker's index arrives ready for nearest-pipe lookups.
+// `onProgress(stage)` is called with "index" and then "link". `depthRatio` and `perPipe`
+// set the flow depth used for velocities (see depthRatioFor), `roughness` the Manning's n
+// (see ROUGHNESS_DEFAULTS).
+export function buildNetworkIndex(geojson, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const snapTolM = options.snapTolM ?? NODE_SNAP_TOL_M;
+  const topology = TOPOLOGY_MODES.includes(options.topology) ? options.topology : "snap";
+  const inferDir = options.inferDir ?? true;
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+
+  let minLat = Infinity;
+  let minLng = Infinity;
+  let maxLat = -Infinity;
+  let maxLng = -Infinity;
+
+  function scanCoords(coords) {
+    // coords = [lng, lat]
+    const lng = coords?.[0];
+    const lat = coords?.[1];
+    if (typeof lat !== "number" || typeof lng !== "number") return;
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  }
+
+  const nodeIndex = new Map();
+  const byObjectId = new Map();
+
+  function ensureNode(key, lng, lat) {
+    if (!nodeIndex.has(key)) {
+      nodeIndex.set(key, { key, lng, lat, inObjectIds: [], outObjectIds: [] });
+    }
+    return nodeIndex.get(key);
+  }
+
+  onProgress("index");
+
+  // Pass 0: stored-order end keys, so direction inference can look at neighbours
+  const startsAt = new Map();
+  const endsAt = new Map();
+  const storedKeys = new Map();
+
+  for (const ft of features) {
+    const stored = flowEndpoints(ft, "u_to_d");
+    if (!stored) continue;
+
+    const props = ft.properties || {};
+    const keys = pipeNodeKeys(props, stored.flowStart, stored.flowEnd, topology, snapTolM);
+    storedKeys.set(ft, keys);
+    startsAt.set(keys.upKey, (startsAt.get(keys.upKey) || 0) + 1);
+    endsAt.set(keys.downKey, (endsAt.get(keys.downKey) || 0) + 1);
+  }
+
+  // Pass 1: compute bbox + per-pipe velocity + DIR + endpoint node keys (DIR-first)
+  for (const ft of features) {
+    if (!ft?.geometry) continue;
+
+    forEachLinePart(ft, (coords) => {
+      for (const c of coords) scanCoords(c);
+    });
+
+    const props = ft.properties || {};
+    const objectId = toNum(props.OBJECTID);
+
+    // Manning's n, and the half-full velocity and full-bore capacity that follow from it
+    applyRoughness(props, options.roughness);
+    if (isSiphon(props)) props._pressure_v_mps = SIPHON_DESIGN_VELOCITY_MPS;
+    applyFlowDepth(props, depthRatioFor(objectId, options));
+
+    // Direction: DIR is authoritative if present. If DIR is missing in the source data we
+    // infer it from the invert levels, cross-checked against the neighbours' connectivity,
+    // and otherwise assume geometry is stored in upstream->downstream order (u_to_d).
+    // Siphons and rising mains run under pressure and their inverts legitimately rise, so
+    // they are not used for them.
+    const dirFromData = parseDirFromProps(props);
+    const ilDir = isSiphon(props) || isRisingMain(props) ? null : dirFromInverts(props);
+
+    let dir = "u_to_d";
+    let dirSource = "default";
+    if (dirFromData) {
+      dir = dirFromData;
+      dirSource = "DIR";
+    } else if (inferDir) {
+      const keys = storedKeys.get(ft);
+      const nbDir = keys ? dirFromConnectivity(keys.upKey, keys.downKey, startsAt, endsAt) : null;
+      const resolved = resolveDirection(ilDir, nbDir);
+      dir = resolved.dir;
+      dirSource = resolved.source;
+    }
+
+    props._dir = dir;
+    props._dir_source = dirSource;
+    props._il_contradicts_geometry = ilDir === "d_to_u";
+
+    props._in_service = isPipeInService(props);
+
+    const sewerNameNorm = normaliseSewerName(props.SEWER_NAME || props.SEWERNAME);
+    props._sewer_name_norm = sewerNameNorm;
+
+    const mh = manholeIdsFromProps(props, dir);
+    props._upManholeId = mh.up;
+    props._downManholeId = mh.down;
+
+    const flow = flowEndpoints(ft, dir);
+
+    if (objectId !== null && flow) {
+      const { flowStart, flowEnd } = flow;
+      const { upKey, downKey } = pipeNodeKeys(props, flowStart, flowEnd, topology, snapTolM, dir);
+
+      props._upNodeKey = upKey;
+      props._downNodeKey = downKey;
+
+      const upNode = ensureNode(upKey, flowStart.lng, flowStart.lat);
+      const downNode = ensureNode(downKey, flowEnd.lng, flowEnd.lat);
+
+      upNode.outObjectIds.push(objectId);
+      downNode.inObjectIds.push(objectId);
+
+      byObjectId.set(objectId, ft);
+    }
+
+    ft.properties = props;
+  }
+
+  onProgress("link");
+
+  // Pass 2: directed next connections strictly by node-match (no distance fallback).
+  // Pipes that are not in service never receive flow.
+  for (const ft of features) {
+    const props = ft?.properties || {};
+    const objectId = toNum(props.OBJECTID);
+    const downKey = props._downNodeKey;
+
+    if (objectId === null || !downKey) continue;
+
+    const downNode = nodeIndex.get(downKey);
+
+    const next = Array.isArray(downNode?.outObjectIds)
+      ? downNode.outObjectIds.filter((id) => id !== objectId && byObjectId.get(id)?.properties?._in_service !== false)
+      : [];
+
+    props._nextObjectIds = next;
+
+    ft.properties = props;
+  }
+
+  // Pump stations where gravity sewers meet rising mains; the mains then run pressurised
+  const pumpStations = detectPumpStations(nodeIndex, byObjectId);
+  for (const ft of byObjectId.values()) {
+    if (ft.properties._pressure_v_mps !== undefined) applyFlowDepth(ft.properties, MAX_DEPTH_RATIO);
+  }
+
+  const bbox =
+    isFinite(minLat) && isFinite(minLng) && isFinite(maxLat) && isFinite(maxLng)
+      ? { minLat, minLng, maxLat, maxLng }
+      : null;
+
+  const segmentIndex = buildSegmentIndex(features);
+
+  return { geojson, bbox, count: features.length, topology, nodeIndex, byObjectId, pumpStations, segmentIndex };
+}
+
+// Wraps a network index with the lookups the App (and Node scripts) use.
+// Accepts either a GeoJSON FeatureCollection or an index returned by buildNetworkIndex.
+export function createSewerNetwork(source, options = {}) {
+  const index = source?.byObjectId instanceof Map ? source : buildNetworkIndex(source, options);
+  const { geojson, bbox, count, topology, nodeIndex, byObjectId, pumpStations = [] } = index;
+  const segmentIndex = index.segmentIndex || buildSegmentIndex(geojson?.features);
+
+  function getPipe(objectId) {
+    const id = toNum(objectId);
+    return id !== null ? byObjectId.get(id) || null : null;
+  }
+
+  function downstreamOf(objectId) {
+    const p = getPipe(objectId)?.properties;
+    return Array.isArray(p?._nextObjectIds) ? p._nextObjectIds.slice() : [];
+  }
+
+  function upstreamOf(objectId) {
+    const p = getPipe(objectId)?.properties;
+    const node = p?._upNodeKey ? nodeIndex.get(p._upNodeKey) : null;
+    const id = toNum(objectId);
+    return Array.isArray(node?.inObjectIds) ? node.inObjectIds.filter((x) => x !== id) : [];
+  }
+
+  function nearestContact(pointLL) {
+    const contact = findNearestPipeContact(geojson, pointLL, segmentIndex);
+    if (!contact) return null;
+    return { ...contact, objectId: toNum(contact.feature?.properties?.OBJECTID) };
+  }
+
+  // Pipes with any segment within radiusM of the point, nearest first
+  function pipesNear(pointLL, radiusM) {
+    return pipesWithinMeters(segmentIndex, pointLL, radiusM);
+  }
+
+  function buildPlan(objectId, startPoint, maxHops) {
+    const id = toNum(objectId);
+    if (id === null || !byObjectId.has(id)) return [];
+    return buildPipePlanFromObjectId(id, startPoint || null, byObjectId, maxHops);
+  }
+
+  // settings: { depthRatio, perPipe: { [OBJECTID]: ratio }, fromFlow }
+  function setDepthRatios(settings) {
+    setFlowDepths(byObjectId, settings);
+  }
+
+  // roughness: see ROUGHNESS_DEFAULTS. Follow with setFlowLoading so capacities catch up.
+  function setRoughness(roughness) {
+    setPipeRoughness(byObjectId, roughness);
+  }
+
+  // loading: see FLOW_DEFAULTS. Velocities change only once setDepthRatios runs with fromFlow.
+  // Returns the overflow events (see setFlowLoads).
+  function setFlowLoading(loading) {
+    return setFlowLoads(byObjectId, loading);
+  }
+
+  // Wet well cycle of a pump station at a simulation time (see pumpCycleState), with the
+  // inflow it is running on; null for an unknown station
+  function pumpStationState(stationId, simSeconds) {
+    const station = pumpStations.find((ps) => ps.id === stationId);
+    if (!station) return null;
+    const inflowLps = stationInflowLps(station, byObjectId);
+    return { station, inflowLps, ...pumpCycleState(station, inflowLps, simSeconds) };
+  }
+
+  // Like buildPlan but reports how the trace ended; see planPipeRoute for options
+  function planRoute(objectId, startPoint, routeOptions = {}) {
+    const id = toNum(objectId);
+    if (id === null || !byObjectId.has(id)) return null;
+    return planPipeRoute(id, startPoint || null, byObjectId, { nodeIndex, ...routeOptions });
+  }
+
+  // Many randomly split traces from one start; see runRouteEnsemble for options
+  function runEnsemble(objectId, startPoint, ensembleOptions = {}) {
+    const id = toNum(objectId);
+    if (id === null || !byObjectId.has(id)) return null;
+    return runRouteEnsemble(id, startPoint || null, byObjectId, { nodeIndex, ...ensembleOptions });
+  }
+
+  return {
+    geojson,
+    bbox,
+    count,
+    topology,
+    nodeCount: nodeIndex.size,
+    nodeIndex,
+    byObjectId,
+    pumpStations,
+    segmentIndex,
+    getPipe,
+    downstreamOf,
+    upstreamOf,
+    nearestContact,
+    pipesNear,
+    buildPlan,
+    planRoute,
+    pumpStationState,
+    runEnsemble,
+    setDepthRatios,
+    setFlowLoading,
+    setRoughness
+  };
+}
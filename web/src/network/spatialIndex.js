@@ -0,0 +1,200 @@
+import { closestPointOnSegment, forEachLinePart, projectToXYMeters, toNum } from "./geo.js";
+
+// Entries per R-tree node
+export const SEGMENT_NODE_SIZE = 16;
+
+// Boxes are measured in one flat projection around the network's first vertex, while
+// closestPointOnSegment projects around each segment. Over a city-sized network the two
+// differ by well under 1%, so box distances are shrunk by this much to stay a lower bound.
+const BOX_SLACK = 0.01;
+
+function boxOf(items) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const it of items) {
+    if (it.minX < minX) minX = it.minX;
+    if (it.minY < minY) minY = it.minY;
+    if (it.maxX > maxX) maxX = it.maxX;
+    if (it.maxY > maxY) maxY = it.maxY;
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Sort-Tile-Recursive packing: sort by x into vertical slices, each slice by y, chunk
+function packLevel(items, nodeSize) {
+  const nodeCount = Math.ceil(items.length / nodeSize);
+  const sliceCount = Math.ceil(Math.sqrt(nodeCount));
+  const sliceSize = sliceCount * nodeSize;
+  const cx = (b) => b.minX + b.maxX;
+  const cy = (b) => b.minY + b.maxY;
+
+  const sorted = items.slice().sort((a, b) => cx(a) - cx(b));
+  const nodes = [];
+
+  for (let s = 0; s < sorted.length; s += sliceSize) {
+    const slice = sorted.slice(s, s + sliceSize).sort((a, b) => cy(a) - cy(b));
+    for (let i = 0; i < slice.length; i += nodeSize) {
+      const children = slice.slice(i, i + nodeSize);
+      nodes.push({ ...boxOf(children), children });
+    }
+  }
+
+  return nodes;
+}
+
+// Static R-tree over every pipe segment, built once per network (see createSewerNetwork).
+// Leaves hold { objectId, feature, partIndex, segIndex, a, b } plus the segment's box in metres.
+export function buildSegmentIndex(features, options = {}) {
+  const nodeSize = options.nodeSize ?? SEGMENT_NODE_SIZE;
+  const segments = [];
+  let origin = null;
+
+  for (const ft of Array.isArray(features) ? features : []) {
+    const objectId = toNum(ft?.properties?.OBJECTID);
+
+    forEachLinePart(ft, (coords, partIndex) => {
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = { lng: coords[i][0], lat: coords[i][1] };
+        const b = { lng: coords[i + 1][0], lat: coords[i + 1][1] };
+        if (!origin) origin = a;
+
+        const pa = projectToXYMeters(origin, a);
+        const pb = projectToXYMeters(origin, b);
+        segments.push({
+          objectId,
+          feature: ft,
+          partIndex,
+          segIndex: i,
+          a,
+          b,
+          minX: Math.min(pa.x, pb.x),
+          minY: Math.min(pa.y, pb.y),
+          maxX: Math.max(pa.x, pb.x),
+          maxY: Math.max(pa.y, pb.y)
+        });
+      }
+    });
+  }
+
+  let level = segments;
+  let root = null;
+  if (segments.length > 0) {
+    do {
+      level = packLevel(level, nodeSize);
+    } while (level.length > 1);
+    root = level[0];
+  }
+
+  return { origin, root, segments };
+}
+
+function boxDistance(box, p) {
+  const dx = Math.max(box.minX - p.x, 0, p.x - box.maxX);
+  const dy = Math.max(box.minY - p.y, 0, p.y - box.maxY);
+  return Math.sqrt(dx * dx + dy * dy) * (1 - BOX_SLACK);
+}
+
+// Minimal binary min-heap of { d, item }
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent].d <= heap[i].d) break;
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < heap.length && heap[l].d < heap[m].d) m = l;
+      if (r < heap.length && heap[r].d < heap[m].d) m = r;
+      if (m === i) break;
+      [heap[m], heap[i]] = [heap[i], heap[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+// Nearest segment to `pt` that passes `filter`, by best-first search over the tree.
+// Returns the same shape as findNearestPipeContact plus objectId, or null if nothing
+// qualifies within maxMeters.
+export function nearestSegment(index, pt, options = {}) {
+  if (!index?.root) return null;
+
+  const maxMeters = options.maxMeters ?? Infinity;
+  const filter = options.filter || null;
+  const p = projectToXYMeters(index.origin, pt);
+  const heap = [{ d: boxDistance(index.root, p), item: index.root }];
+  let best = null;
+
+  while (heap.length > 0) {
+    const { d, item } = heapPop(heap);
+    if (d > maxMeters || (best && d > best.dist)) break;
+
+    if (item.children) {
+      for (const child of item.children) heapPush(heap, { d: boxDistance(child, p), item: child });
+      continue;
+    }
+
+    if (filter && !filter(item)) continue;
+
+    const res = closestPointOnSegment(item.a, item.b, pt);
+    if (!best || res.dist < best.dist) {
+      best = {
+        dist: res.dist,
+        point: res.point,
+        feature: item.feature,
+        objectId: item.objectId,
+        partIndex: item.partIndex,
+        segIndex: item.segIndex,
+        segA: item.a,
+        segB: item.b
+      };
+    }
+  }
+
+  return best && best.dist <= maxMeters ? best : null;
+}
+
+// Every pipe with a segment within radiusM of `pt`: [{ objectId, dist, point }] nearest first
+export function pipesWithinMeters(index, pt, radiusM, options = {}) {
+  if (!index?.root) return [];
+
+  const filter = options.filter || null;
+  const p = projectToXYMeters(index.origin, pt);
+  const byPipe = new Map();
+  const stack = [index.root];
+
+  while (stack.length > 0) {
+    const item = stack.pop();
+    if (boxDistance(item, p) > radiusM) continue;
+
+    if (item.children) {
+      for (const child of item.children) stack.push(child);
+      continue;
+    }
+
+    if (filter && !filter(item)) continue;
+
+    const res = closestPointOnSegment(item.a, item.b, pt);
+    if (res.dist > radiusM) continue;
+
+    const prev = byPipe.get(item.objectId);
+    if (!prev || res.dist < prev.dist) byPipe.set(item.objectId, { objectId: item.objectId, dist: res.dist, point: res.point });
+  }
+
+  return [...byPipe.values()].sort((a, b) => a.dist - b.dist);
+}
@@ -0,0 +1,114 @@
+import { metersBetween, toNum } from "./geo.js";
+import { NODE_SNAP_TOL_M, flowEndpoints, manholeIdsFromProps, parseDirFromProps, pipeNodeKeys } from "./sewerNetwork.js";
+
+// Pipe -> downstream pipes for one topology mode, computed without touching feature properties
+function linkPipes(pipes, topology, snapTolM) {
+  const outByKey = new Map();
+  const downKeyById = new Map();
+
+  for (const { objectId, props, dir, flowStart, flowEnd } of pipes) {
+    const { upKey, downKey } = pipeNodeKeys(props, flowStart, flowEnd, topology, snapTolM, dir);
+    if (!outByKey.has(upKey)) outByKey.set(upKey, []);
+    outByKey.get(upKey).push(objectId);
+    downKeyById.set(objectId, downKey);
+  }
+
+  const next = new Map();
+  for (const [objectId, downKey] of downKeyById.entries()) {
+    next.set(objectId, (outByKey.get(downKey) || []).filter((id) => id !== objectId));
+  }
+  return next;
+}
+
+// Compares manhole-ID connectivity (UNITID / UNITID2) against endpoint-snap connectivity.
+// Returns every pipe whose downstream set differs, every manhole whose pipe ends land in
+// more than one snap cell, and every snap cell that merges more than one manhole.
+export function compareTopologies(geojson, options = {}) {
+  const snapTolM = options.snapTolM ?? NODE_SNAP_TOL_M;
+  const features = Array.isArray(geojson?.features) ? geojson.features : [];
+
+  const pipes = [];
+  for (const ft of features) {
+    const props = ft?.properties || {};
+    const objectId = toNum(props.OBJECTID);
+    const dir = props._dir || parseDirFromProps(props) || "u_to_d";
+    const flow = flowEndpoints(ft, dir);
+    if (objectId === null || !flow) continue;
+    pipes.push({ objectId, props, dir, ...flow });
+  }
+
+  const snapNext = linkPipes(pipes, "snap", snapTolM);
+  const idNext = linkPipes(pipes, "manhole", snapTolM);
+
+  const pipeMismatches = [];
+  for (const { objectId, flowEnd } of pipes) {
+    const a = snapNext.get(objectId) || [];
+    const b = idNext.get(objectId) || [];
+    const onlyInSnap = a.filter((id) => !b.includes(id));
+    const onlyInId = b.filter((id) => !a.includes(id));
+    if (onlyInSnap.length === 0 && onlyInId.length === 0) continue;
+
+    pipeMismatches.push({
+      objectId,
+      lat: flowEnd.lat,
+      lng: flowEnd.lng,
+      snapNext: a,
+      idNext: b,
+      onlyInSnap,
+      onlyInId
+    });
+  }
+
+  // Group pipe ends by manhole ID and by snap cell to find splits and merges
+  const endsByManhole = new Map();
+  const manholesBySnapKey = new Map();
+
+  for (const { props, dir, flowStart, flowEnd } of pipes) {
+    const mh = manholeIdsFromProps(props, dir);
+    const snap = pipeNodeKeys(props, flowStart, flowEnd, "snap", snapTolM);
+
+    for (const [id, key, pt] of [
+      [mh.up, snap.upKey, flowStart],
+      [mh.down, snap.downKey, flowEnd]
+    ]) {
+      if (!id) continue;
+
+      if (!endsByManhole.has(id)) endsByManhole.set(id, []);
+      endsByManhole.get(id).push({ key, pt });
+
+      if (!manholesBySnapKey.has(key)) manholesBySnapKey.set(key, { pt, ids: new Set() });
+      manholesBySnapKey.get(key).ids.add(id);
+    }
+  }
+
+  const manholeSplits = [];
+  for (const [manholeId, ends] of endsByManhole.entries()) {
+    const keys = [...new Set(ends.map((e) => e.key))];
+    if (keys.length < 2) continue;
+
+    let spreadM = 0;
+    for (let i = 0; i < ends.length; i++) {
+      for (let j = i + 1; j < ends.length; j++) {
+        spreadM = Math.max(spreadM, metersBetween(ends[i].pt, ends[j].pt));
+      }
+    }
+
+    manholeSplits.push({ manholeId, snapNodeKeys: keys, spreadM, lat: ends[0].pt.lat, lng: ends[0].pt.lng });
+  }
+  manholeSplits.sort((a, b) => b.spreadM - a.spreadM);
+
+  const snapMerges = [];
+  for (const [nodeKey, { pt, ids }] of manholesBySnapKey.entries()) {
+    if (ids.size < 2) continue;
+    snapMerges.push({ nodeKey, manholeIds: [...ids].sort(), lat: pt.lat, lng: pt.lng });
+  }
+
+  return {
+    snapTolM,
+    pipesCompared: pipes.length,
+    pipesAgreeing: pipes.length - pipeMismatches.length,
+    pipeMismatches,
+    manholeSplits,
+    snapMerges
+  };
+}
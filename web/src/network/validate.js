@@ -0,0 +1,276 @@
+import { flattenFeatureCoords, toNum } from "./geo.js";
+import { isSiphon } from "./hydraulics.js";
+import { isRisingMain } from "./pumps.js";
+import { findNearestPipeObjectIdToPointWithinMeters } from "./search.js";
+
+// Pipe types that are allowed to end the network
+export const TERMINAL_UNITTYPES = ["OUTFLL", "OUTLET"];
+
+// A dead-end pipe whose downstream end lies this close to another pipe is "mid-network"
+export const DEAD_END_NEAR_PIPE_M = 20;
+
+export const ISSUE_TYPES = {
+  component: "Disconnected component",
+  sink: "Sink that is not an outfall",
+  cycle: "Directed cycle",
+  dead_end: "Dead end mid-network",
+  grade: "Zero or negative GRADE",
+  zero_velocity: "Zero velocity"
+};
+
+function isTerminalPipe(props) {
+  return TERMINAL_UNITTYPES.includes(String(props?.UNITTYPE || "").toUpperCase());
+}
+
+function boundsOfPipes(byObjectId, ids) {
+  let minLat = Infinity;
+  let minLng = Infinity;
+  let maxLat = -Infinity;
+  let maxLng = -Infinity;
+
+  for (const id of ids) {
+    for (const c of flattenFeatureCoords(byObjectId.get(id))) {
+      if (c.lat < minLat) minLat = c.lat;
+      if (c.lat > maxLat) maxLat = c.lat;
+      if (c.lng < minLng) minLng = c.lng;
+      if (c.lng > maxLng) maxLng = c.lng;
+    }
+  }
+
+  if (!isFinite(minLat)) return null;
+  return [
+    [minLat, minLng],
+    [maxLat, maxLng]
+  ];
+}
+
+// Weakly connected components over shared nodes, largest first
+export function connectedComponents(byObjectId, nodeIndex) {
+  const seen = new Set();
+  const components = [];
+
+  for (const startId of byObjectId.keys()) {
+    if (seen.has(startId)) continue;
+
+    const comp = [];
+    const stack = [startId];
+    seen.add(startId);
+
+    while (stack.length > 0) {
+      const id = stack.pop();
+      comp.push(id);
+
+      const p = byObjectId.get(id)?.properties || {};
+      for (const key of [p._upNodeKey, p._downNodeKey]) {
+        const node = key ? nodeIndex.get(key) : null;
+        if (!node) continue;
+        for (const nb of [...node.inObjectIds, ...node.outObjectIds]) {
+          if (seen.has(nb)) continue;
+          seen.add(nb);
+          stack.push(nb);
+        }
+      }
+    }
+
+    components.push(comp);
+  }
+
+  return components.sort((a, b) => b.length - a.length);
+}
+
+// Strongly connected components of the _nextObjectIds graph (iterative Tarjan)
+function directedCycles(byObjectId) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+  let counter = 0;
+
+  const nextOf = (id) => {
+    const next = byObjectId.get(id)?.properties?._nextObjectIds;
+    return Array.isArray(next) ? next.filter((x) => byObjectId.has(x)) : [];
+  };
+
+  for (const root of byObjectId.keys()) {
+    if (index.has(root)) continue;
+
+    const work = [{ id: root, i: 0 }];
+    index.set(root, counter);
+    low.set(root, counter);
+    counter += 1;
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const next = nextOf(frame.id);
+
+      if (frame.i < next.length) {
+        const w = next[frame.i];
+        frame.i += 1;
+
+        if (!index.has(w)) {
+          index.set(w, counter);
+          low.set(w, counter);
+          counter += 1;
+          stack.push(w);
+          onStack.add(w);
+          work.push({ id: w, i: 0 });
+        } else if (onStack.has(w)) {
+          low.set(frame.id, Math.min(low.get(frame.id), index.get(w)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        low.set(parent, Math.min(low.get(parent), low.get(frame.id)));
+      }
+
+      if (low.get(frame.id) === index.get(frame.id)) {
+        const scc = [];
+        let w;
+        do {
+          w = stack.pop();
+          onStack.delete(w);
+          scc.push(w);
+        } while (w !== frame.id);
+
+        if (scc.length > 1 || nextOf(frame.id).includes(frame.id)) cycles.push(scc);
+      }
+    }
+  }
+
+  return cycles;
+}
+
+// Lists the problems in a built network (see createSewerNetwork). Every issue carries the
+// pipes involved and map bounds so the UI can zoom to it.
+export function validateNetwork(network, options = {}) {
+  const { geojson, byObjectId, nodeIndex } = network;
+  const deadEndNearM = options.deadEndNearM ?? DEAD_END_NEAR_PIPE_M;
+  const issues = [];
+
+  const add = (type, objectIds, message, extra = {}) => {
+    issues.push({
+      type,
+      label: ISSUE_TYPES[type],
+      message,
+      objectIds,
+      bounds: boundsOfPipes(byObjectId, objectIds),
+      ...extra
+    });
+  };
+
+  // Disconnected components: everything except the largest one
+  const components = connectedComponents(byObjectId, nodeIndex);
+  for (const comp of components.slice(1)) {
+    add("component", comp, `${comp.length} pipe(s) not connected to the main network`);
+  }
+
+  // Sinks: nodes with inflow but no outflow where no incoming pipe is an outfall
+  for (const node of nodeIndex.values()) {
+    if (node.outObjectIds.length > 0 || node.inObjectIds.length === 0) continue;
+    const terminal = node.inObjectIds.some((id) => isTerminalPipe(byObjectId.get(id)?.properties));
+    if (terminal) continue;
+
+    add("sink", node.inObjectIds.slice(), `Flow ends at node ${node.key}`, { lat: node.lat, lng: node.lng });
+  }
+
+  for (const scc of directedCycles(byObjectId)) {
+    add("cycle", scc, `${scc.length} pipe(s) form a directed cycle`);
+  }
+
+  for (const [id, ft] of byObjectId.entries()) {
+    const p = ft.properties || {};
+
+    // Dead ends whose downstream end sits on or near another pipe (a missed connection)
+    const next = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
+    if (next.length === 0 && !isTerminalPipe(p)) {
+      const down = p._downNodeKey ? nodeIndex.get(p._downNodeKey) : null;
+      const near = down
+        ? findNearestPipeObjectIdToPointWithinMeters(
+            geojson,
+            { lat: down.lat, lng: down.lng },
+            id,
+            deadEndNearM,
+            network.segmentIndex
+          )
+        : null;
+
+      if (near) {
+        add("dead_end", [id, near.objectId], `Ends ${near.dist.toFixed(1)} m from pipe ${near.objectId} without connecting`, {
+          lat: down.lat,
+          lng: down.lng
+        });
+      }
+    }
+
+    // Siphons and rising mains run uphill under pressure, so their GRADE is not checked
+    const grade = toNum(p.GRADE);
+    if (grade !== null && grade <= 0 && !isSiphon(p) && !isRisingMain(p)) {
+      add("grade", [id], `GRADE is ${grade}`);
+    }
+
+    if (toNum(p._v_half_mps) === 0) {
+      add("zero_velocity", [id], "Computed velocity is 0 m/s");
+    }
+  }
+
+  const counts = {};
+  for (const type of Object.keys(ISSUE_TYPES)) counts[type] = 0;
+  for (const issue of issues) counts[issue.type] += 1;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    topology: network.topology,
+    pipes: byObjectId.size,
+    nodes: nodeIndex.size,
+    components: components.length,
+    counts,
+    issues
+  };
+}
+
+// Summary numbers for comparing the connectivity of two builds of the same network
+export function connectivityStats(network) {
+  const { byObjectId, nodeIndex } = network;
+  const components = connectedComponents(byObjectId, nodeIndex);
+
+  let danglingNodes = 0;
+  let junctions = 0;
+  let sinks = 0;
+  for (const node of nodeIndex.values()) {
+    const degree = node.inObjectIds.length + node.outObjectIds.length;
+    if (degree === 1) danglingNodes += 1;
+    if (degree >= 3) junctions += 1;
+    if (node.outObjectIds.length === 0 && node.inObjectIds.length > 0) sinks += 1;
+  }
+
+  let deadEnds = 0;
+  let isolated = 0;
+  for (const ft of byObjectId.values()) {
+    const p = ft.properties || {};
+    const next = Array.isArray(p._nextObjectIds) ? p._nextObjectIds : [];
+    if (next.length === 0) deadEnds += 1;
+
+    const up = p._upNodeKey ? nodeIndex.get(p._upNodeKey) : null;
+    const down = p._downNodeKey ? nodeIndex.get(p._downNodeKey) : null;
+    const degree = (node) => (node ? node.inObjectIds.length + node.outObjectIds.length : 0);
+    if (degree(up) + degree(down) <= 2) isolated += 1;
+  }
+
+  return {
+    pipes: byObjectId.size,
+    nodes: nodeIndex.size,
+    components: components.length,
+    largestComponentShare: byObjectId.size > 0 ? (components[0]?.length || 0) / byObjectId.size : 0,
+    junctions,
+    danglingNodes,
+    sinks,
+    deadEnds,
+    isolated
+  };
+}
@@ -0,0 +1,61 @@
+// Main-thread side of networkWorker.js. One worker is kept for the app's lifetime and
+// replies are matched to requests by id.
+
+// Stages reported by the worker, in order
+export const LOAD_STAGES = [
+  { stage: "fetch", label: "Fetching pipes" },
+  { stage: "parse", label: "Parsing GeoJSON" },
+  { stage: "index", label: "Indexing pipes and nodes" },
+  { stage: "link", label: "Linking downstream pipes" },
+  { stage: "validate", label: "Validating network" }
+];
+
+let worker = null;
+let lastId = 0;
+
+function getWorker() {
+  if (!worker) worker = new Worker(new URL("./networkWorker.js", import.meta.url), { type: "module" });
+  return worker;
+}
+
+// Sends one request and resolves with the worker's "done" message
+function requestWorker(request, onProgress) {
+  const id = ++lastId;
+  const w = getWorker();
+
+  return new Promise((resolve, reject) => {
+    function onMessage(e) {
+      const msg = e.data;
+      if (msg.id !== id) return;
+
+      if (msg.type === "progress") {
+        onProgress?.(msg.stage);
+      } else if (msg.type === "done") {
+        finish();
+        resolve(msg);
+      } else if (msg.type === "error") {
+        finish();
+        reject(new Error(msg.message));
+      }
+    }
+
+    function finish() {
+      w.removeEventListener("message", onMessage);
+    }
+
+    w.addEventListener("message", onMessage);
+    w.postMessage({ ...request, id });
+  });
+}
+
+// Resolves with { index, topologyReport, validation }. `onProgress(stage)` gets each stage.
+export async function loadNetworkInWorker({ url, geojson, topology }, onProgress) {
+  const msg = await requestWorker({ url: geojson ? null : url, geojson: geojson || null, topology }, onProgress);
+  return { index: msg.index, topologyReport: msg.topologyReport, validation: msg.validation };
+}
+
+// Resolves with connectivityStats of the network built from `geojson` or `url`
+export async function connectivityStatsInWorker({ url, geojson, topology }) {
+  const msg = await requestWorker({ kind: "stats", url: geojson ? null : url, geojson: geojson || null, topology });
+  return msg.stats;
+}
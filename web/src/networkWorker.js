@@ -0,0 +1,60 @@
+// Builds the sewer network off the main thread. Request: { id, kind, url, geojson, topology };
+// exactly one of url / geojson is set. Replies with { id, type: "progress", stage } while
+// working, then { id, type: "done", ... } or { id, type: "error", message }. The default kind
+// replies with { index, topologyReport, validation }, where the index is buildNetworkIndex's
+// plain output that createSewerNetwork accepts as-is on the main thread; kind "stats" builds
+// a throwaway network and replies with its { stats } (see connectivityStats).
+import {
+  buildNetworkIndex,
+  compareTopologies,
+  connectivityStats,
+  createSewerNetwork,
+  validateNetwork
+} from "./network/index.js";
+
+// Parsed GeoJSON per URL, so a topology switch only re-indexes. buildNetworkIndex annotates
+// feature properties in place, so each build gets its own copy and the cache stays pristine.
+const parsedByUrl = new Map();
+
+async function loadGeojson({ id, url, geojson }) {
+  if (geojson) return geojson;
+  if (parsedByUrl.has(url)) return structuredClone(parsedByUrl.get(url));
+
+  self.postMessage({ id, type: "progress", stage: "fetch" });
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`GeoJSON fetch failed: ${res.status}`);
+  const text = await res.text();
+
+  self.postMessage({ id, type: "progress", stage: "parse" });
+  const gj = JSON.parse(text);
+  parsedByUrl.set(url, gj);
+  return structuredClone(gj);
+}
+
+self.onmessage = async (e) => {
+  const request = e.data;
+  const { id } = request;
+
+  try {
+    const gj = await loadGeojson(request);
+
+    if (request.kind === "stats") {
+      const stats = connectivityStats(createSewerNetwork(gj, { topology: request.topology }));
+      self.postMessage({ id, type: "done", stats });
+      return;
+    }
+
+    const index = buildNetworkIndex(gj, {
+      topology: request.topology,
+      onProgress: (stage) => self.postMessage({ id, type: "progress", stage })
+    });
+
+    self.postMessage({ id, type: "progress", stage: "validate" });
+    const topologyReport = compareTopologies(gj);
+    const validation = validateNetwork(createSewerNetwork(index));
+
+    self.postMessage({ id, type: "done", index, topologyReport, validation });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message || String(err) });
+  }
+};